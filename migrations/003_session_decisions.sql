@@ -0,0 +1,17 @@
+-- Session Decisions Schema
+-- Links decisions produced by the DECISION phase back to their session
+
+-- Decisions: commit/defer outcome and originating session
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS outcome VARCHAR(20) NOT NULL DEFAULT 'commit';
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS defer_until TEXT;
+-- No foreign key: sessions may live in the in-memory store
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS session_id UUID;
+
+ALTER TABLE decisions DROP CONSTRAINT IF EXISTS valid_outcome;
+ALTER TABLE decisions ADD CONSTRAINT valid_outcome CHECK (outcome IN ('commit', 'defer'));
+
+-- Sessions: the decision made in this session (if any)
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS decision_id UUID REFERENCES decisions(id) ON DELETE SET NULL;
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_decisions_session_id ON decisions(session_id);
@@ -0,0 +1,5 @@
+-- Session Planning Schema
+-- Stores the latest task proposal from the PLANNING phase until accepted
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS proposed_tasks JSONB;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS tasks_accepted_at TIMESTAMP WITH TIME ZONE;
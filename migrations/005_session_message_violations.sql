@@ -0,0 +1,23 @@
+-- Session Message Violations Schema
+-- Records every phase-rule violation per assistant message,
+-- including attempts that were regenerated
+
+CREATE TABLE IF NOT EXISTS session_message_violations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID NOT NULL REFERENCES session_messages(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    phase VARCHAR(20) NOT NULL,
+    rule_id VARCHAR(100) NOT NULL,
+    severity VARCHAR(20) NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    attempt INTEGER NOT NULL DEFAULT 1,
+    detail JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT valid_violation_severity CHECK (severity IN ('error', 'warning')),
+    CONSTRAINT valid_violation_action CHECK (action IN ('retry', 'warn'))
+);
+
+-- Indexes for per-message lookups and per-rule statistics
+CREATE INDEX IF NOT EXISTS idx_violations_message_id ON session_message_violations(message_id);
+CREATE INDEX IF NOT EXISTS idx_violations_phase_rule ON session_message_violations(phase, rule_id);
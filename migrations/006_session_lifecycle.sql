@@ -0,0 +1,12 @@
+-- Session Lifecycle Schema
+-- Adds lifecycle state (active, paused, completed, abandoned) to sessions
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS state VARCHAR(20) NOT NULL DEFAULT 'active';
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS state_changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS valid_state;
+ALTER TABLE sessions ADD CONSTRAINT valid_state CHECK (state IN ('active', 'paused', 'completed', 'abandoned'));
+
+-- Indexes for state filtering and the idle sweep
+CREATE INDEX IF NOT EXISTS idx_sessions_user_state ON sessions(user_id, state);
+CREATE INDEX IF NOT EXISTS idx_sessions_state_updated_at ON sessions(state, updated_at);
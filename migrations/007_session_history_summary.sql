@@ -0,0 +1,7 @@
+-- Session History Summary Schema
+-- Rolling summary of older turns folded out of the token budget
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS history_summary TEXT;
+
+-- Number of leading messages the summary covers
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS history_summarized_count INTEGER NOT NULL DEFAULT 0;
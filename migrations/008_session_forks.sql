@@ -0,0 +1,9 @@
+-- Session Forks Schema
+-- A fork copies a session's history up to one message into a new session
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS parent_session_id UUID REFERENCES sessions(id) ON DELETE SET NULL;
+
+-- The parent message the fork was taken from (no FK - the parent may be deleted)
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS forked_from_message_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_parent_session_id ON sessions(parent_session_id);
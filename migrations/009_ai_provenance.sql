@@ -0,0 +1,9 @@
+-- AI Provenance Schema
+-- Which provider and model produced each decision and assistant message
+-- (a fallback chain may answer with a provider other than the primary)
+
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS ai_provider VARCHAR(50);
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS ai_model VARCHAR(100);
+
+ALTER TABLE session_messages ADD COLUMN IF NOT EXISTS ai_provider VARCHAR(50);
+ALTER TABLE session_messages ADD COLUMN IF NOT EXISTS ai_model VARCHAR(100);
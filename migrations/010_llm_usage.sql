@@ -0,0 +1,29 @@
+-- LLM Usage Schema
+-- One row per LLM call: tokens, model, estimated cost and regeneration attempt
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- No foreign keys: sessions may live in the in-memory store,
+    -- and usage is kept for accounting after users or decisions are deleted
+    user_id UUID,
+    session_id UUID,
+    decision_id UUID,
+    purpose VARCHAR(30) NOT NULL,
+    phase VARCHAR(20),
+    provider VARCHAR(50),
+    model VARCHAR(100),
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    -- Token counts were estimated locally (the provider did not report usage)
+    estimated BOOLEAN NOT NULL DEFAULT FALSE,
+    -- NULL when the model has no price in the price table
+    cost_usd NUMERIC(12, 6),
+    attempt INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for per-user, per-session, per-decision and per-day aggregation
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user_created_at ON llm_usage(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_session_id ON llm_usage(session_id);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_decision_id ON llm_usage(decision_id);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at);
@@ -0,0 +1,35 @@
+-- User Quotas Schema
+-- Daily and monthly AI quotas per plan, with per-user overrides.
+-- Usage is counted from llm_usage (UTC days and months).
+
+-- Plan-level limits: NULL means unlimited
+CREATE TABLE IF NOT EXISTS quota_plans (
+    plan VARCHAR(30) PRIMARY KEY,
+    daily_requests INTEGER,
+    daily_tokens INTEGER,
+    monthly_requests INTEGER,
+    monthly_tokens INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Per-user overrides: NULL means use the plan's limit
+CREATE TABLE IF NOT EXISTS user_quota_overrides (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    daily_requests INTEGER,
+    daily_tokens INTEGER,
+    monthly_requests INTEGER,
+    monthly_tokens INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Users: the plan their quota comes from (no FK - unknown plans fall back to QUOTA_DEFAULT_PLAN)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan VARCHAR(30) NOT NULL DEFAULT 'free';
+
+-- Default plans
+INSERT INTO quota_plans (plan, daily_requests, daily_tokens, monthly_requests, monthly_tokens)
+VALUES
+    ('free', 100, 200000, 1500, 3000000),
+    ('pro', 1000, 2000000, 20000, 40000000)
+ON CONFLICT (plan) DO NOTHING;
@@ -0,0 +1,17 @@
+-- LLM Response Cache Schema
+-- Postgres backend of the opt-in response cache (AI_CACHE_STORE=postgres)
+
+CREATE TABLE IF NOT EXISTS llm_response_cache (
+    -- SHA-256 of model, messages and sampling parameters
+    cache_key CHAR(64) PRIMARY KEY,
+    result JSONB NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Index for pruning expired entries
+CREATE INDEX IF NOT EXISTS idx_llm_response_cache_expires_at ON llm_response_cache(expires_at);
+
+-- Usage: calls answered from the cache (no tokens spent)
+ALTER TABLE llm_usage ADD COLUMN IF NOT EXISTS cached BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,9 @@
+-- Prompt Provenance Schema
+-- Which registry prompt (id and version) produced each decision and assistant message
+-- (see prompts/ and src/services/ai/promptRegistry.js)
+
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS prompt_id VARCHAR(60);
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS prompt_version INTEGER;
+
+ALTER TABLE session_messages ADD COLUMN IF NOT EXISTS prompt_id VARCHAR(60);
+ALTER TABLE session_messages ADD COLUMN IF NOT EXISTS prompt_version INTEGER;
@@ -0,0 +1,16 @@
+-- Prompt Experiments Schema
+-- Which experiment variant produced each assistant message and decision,
+-- and how the reply fared against validation - for per-variant metrics
+
+ALTER TABLE session_messages ADD COLUMN IF NOT EXISTS experiment_id VARCHAR(60);
+ALTER TABLE session_messages ADD COLUMN IF NOT EXISTS experiment_variant VARCHAR(60);
+ALTER TABLE session_messages ADD COLUMN IF NOT EXISTS validation_passed BOOLEAN;
+ALTER TABLE session_messages ADD COLUMN IF NOT EXISTS regenerated BOOLEAN;
+
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS experiment_id VARCHAR(60);
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS experiment_variant VARCHAR(60);
+-- Needed a phase-rule regeneration or a schema repair
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS regenerated BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_session_messages_experiment ON session_messages(experiment_id);
+CREATE INDEX IF NOT EXISTS idx_decisions_experiment ON decisions(experiment_id);
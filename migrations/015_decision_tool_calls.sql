@@ -0,0 +1,17 @@
+-- Decision Tool Calls Schema
+-- Records every read-only tool the model called while generating a decision
+
+CREATE TABLE IF NOT EXISTS decision_tool_calls (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    decision_id UUID NOT NULL REFERENCES decisions(id) ON DELETE CASCADE,
+    step INTEGER NOT NULL,
+    tool VARCHAR(60) NOT NULL,
+    arguments JSONB,
+    result JSONB,
+    -- Set instead of result when the call was rejected or failed
+    error TEXT,
+    duration_ms INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_decision_tool_calls_decision_id ON decision_tool_calls(decision_id);
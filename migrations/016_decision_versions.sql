@@ -0,0 +1,32 @@
+-- Decision Versions Schema
+-- Every refinement or rollback of a decision adds a version, and the decision row
+-- and its tasks always hold the current one.
+-- Decisions that were never refined have no rows - their v1 is the decision itself.
+
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS decision_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    decision_id UUID NOT NULL REFERENCES decisions(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    source VARCHAR(20) NOT NULL,
+    -- Feedback that asked for a refinement
+    feedback TEXT,
+    -- Version a rollback restored
+    restored_from INTEGER,
+    decision TEXT NOT NULL,
+    reasoning TEXT,
+    confidence_score DECIMAL(3,2),
+    -- [{ title, priority, status }] as they stood when the version was replaced
+    tasks JSONB NOT NULL DEFAULT '[]',
+    ai_provider VARCHAR(50),
+    ai_model VARCHAR(100),
+    prompt_id VARCHAR(60),
+    prompt_version INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT unique_decision_version UNIQUE (decision_id, version),
+    CONSTRAINT valid_version_source CHECK (source IN ('generated', 'refinement', 'rollback'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_decision_versions_decision_id ON decision_versions(decision_id);
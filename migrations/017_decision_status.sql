@@ -0,0 +1,15 @@
+-- Decision Status Schema
+-- Lifecycle of a decision, driven by the answer to its alignment check:
+-- proposed, aligned, challenged, deferred, reversed, done
+
+-- Decisions made before statuses existed were already acted on, new ones start as proposals
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'aligned';
+ALTER TABLE decisions ALTER COLUMN status SET DEFAULT 'proposed';
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+ALTER TABLE decisions DROP CONSTRAINT IF EXISTS valid_decision_status;
+ALTER TABLE decisions ADD CONSTRAINT valid_decision_status
+    CHECK (status IN ('proposed', 'aligned', 'challenged', 'deferred', 'reversed', 'done'));
+
+-- Index for status filtering
+CREATE INDEX IF NOT EXISTS idx_decisions_user_status ON decisions(user_id, status);
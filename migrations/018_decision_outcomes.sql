@@ -0,0 +1,13 @@
+-- Decision Outcomes Schema
+-- How a decision turned out, recorded by the user after acting on it
+
+CREATE TABLE IF NOT EXISTS decision_outcomes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    decision_id UUID NOT NULL UNIQUE REFERENCES decisions(id) ON DELETE CASCADE,
+    rating INTEGER NOT NULL,
+    what_happened TEXT,
+    would_decide_again BOOLEAN NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT valid_outcome_rating CHECK (rating BETWEEN 1 AND 5)
+);
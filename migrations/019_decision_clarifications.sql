@@ -0,0 +1,20 @@
+-- Decision Clarifications Schema
+-- Decisions waiting for the answer to a clarifying question.
+-- The id becomes the id of the decision once it is clarified.
+
+CREATE TABLE IF NOT EXISTS decision_clarifications (
+    id UUID PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    user_input TEXT NOT NULL,
+    question TEXT NOT NULL,
+    -- Input clarity score that triggered the check
+    clarity_score DECIMAL(3,2),
+    prompt_id VARCHAR(60),
+    prompt_version INTEGER,
+    -- Set when the user answers
+    clarification TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_decision_clarifications_user_id ON decision_clarifications(user_id);
@@ -0,0 +1,7 @@
+-- Unlimited Quota Overrides
+-- NULL in user_quota_overrides means "use the plan's limit", so -1 marks an
+-- override that lifts the limit altogether.
+
+ALTER TABLE user_quota_overrides DROP CONSTRAINT IF EXISTS valid_quota_overrides;
+ALTER TABLE user_quota_overrides ADD CONSTRAINT valid_quota_overrides
+    CHECK (daily_requests >= -1 AND daily_tokens >= -1 AND monthly_requests >= -1 AND monthly_tokens >= -1);
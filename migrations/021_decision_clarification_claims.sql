@@ -0,0 +1,5 @@
+-- Decision Clarification Claims
+-- An answer claims its clarification while the decision is generated,
+-- so a second answer to the same question never reaches the model.
+
+ALTER TABLE decision_clarifications ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE;
@@ -9,6 +9,8 @@ import healthRoutes from './routes/health.routes.js';
 import decisionRoutes from './routes/decision.routes.js';
 import taskRoutes from './routes/task.routes.js';
 import sessionRoutes from './routes/session.routes.js';
+import usageRoutes from './routes/usage.routes.js';
+import adminRoutes from './routes/admin.routes.js';
 
 /**
  * Creates and configures the Express application.
@@ -69,6 +71,12 @@ export function createApp() {
   // Session routes (thinking-phase engine)
   app.use('/session', sessionRoutes);
 
+  // LLM usage and cost accounting
+  app.use('/usage', usageRoutes);
+
+  // Admin routes (quota plans and overrides - X-Admin-Key)
+  app.use('/admin', adminRoutes);
+
   // Decision routes (legacy - will be deprecated)
   app.use('/decision', decisionRoutes);
 
@@ -85,6 +93,7 @@ export function createApp() {
       endpoints: {
         session: '/session (thinking phases)',
         health: '/health',
+        usage: '/usage (LLM tokens and cost)',
         decision: '/decision (legacy)',
         task: '/task (legacy)',
       },
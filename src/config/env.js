@@ -1,36 +1,127 @@
 import 'dotenv/config';
 
-// Determine which AI provider to use (Groq takes priority if configured)
-const getAIConfig = () => {
-  // Groq (free, fast)
-  if (process.env.GROQ_API_KEY) {
-    return {
-      apiKey: process.env.GROQ_API_KEY,
-      baseUrl: 'https://api.groq.com/openai/v1',
-      model: process.env.AI_MODEL || 'llama-3.3-70b-versatile',
-      provider: 'groq',
-    };
-  }
-  
-  // OpenAI (fallback)
-  if (process.env.OPENAI_API_KEY) {
-    return {
-      apiKey: process.env.OPENAI_API_KEY,
-      baseUrl: 'https://api.openai.com/v1',
-      model: process.env.AI_MODEL || 'gpt-4',
-      provider: 'openai',
-    };
-  }
-  
-  // No API key configured
-  return {
-    apiKey: null,
+// Defaults per AI provider - AI_API_KEY, AI_BASE_URL and AI_MODEL override them
+const AI_PROVIDER_DEFAULTS = {
+  groq: {
+    apiKeyEnv: 'GROQ_API_KEY',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    model: 'llama-3.3-70b-versatile',
+  },
+  openai: {
+    apiKeyEnv: 'OPENAI_API_KEY',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4',
+  },
+  anthropic: {
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    baseUrl: 'https://api.anthropic.com',
+    model: 'claude-3-5-sonnet-latest',
+  },
+  // Any server with the OpenAI chat API, e.g. a self-hosted local model
+  'openai-compatible': {
+    apiKeyEnv: 'AI_API_KEY',
     baseUrl: null,
     model: null,
-    provider: null,
+  },
+  // Offline replies for development and tests - no key or network needed
+  fake: {
+    apiKeyEnv: null,
+    baseUrl: null,
+    model: 'fake-1',
+  },
+};
+
+// Use AI_PROVIDER if set, otherwise the first provider with a key (Groq takes priority)
+const detectProvider = () => {
+  if (process.env.AI_PROVIDER) return process.env.AI_PROVIDER;
+  if (process.env.GROQ_API_KEY) return 'groq';
+  if (process.env.OPENAI_API_KEY) return 'openai';
+  if (process.env.ANTHROPIC_API_KEY) return 'anthropic';
+  return null;
+};
+
+/**
+ * Connection settings for one provider
+ * Overrides win over the provider defaults (e.g. GROQ_API_KEY)
+ */
+const getProviderConfig = (provider, { apiKey = null, model = null, baseUrl = null } = {}) => {
+  const defaults = AI_PROVIDER_DEFAULTS[provider] || {};
+
+  return {
+    provider,
+    apiKey: apiKey || process.env[defaults.apiKeyEnv] || null,
+    baseUrl: baseUrl || defaults.baseUrl || null,
+    model: model || defaults.model || null,
+    // Fake provider only
+    fake: {
+      fixturesPath: process.env.FAKE_AI_FIXTURES || null,
+      failure: process.env.FAKE_AI_FAILURE || null,
+      failureCount: parseInt(process.env.FAKE_AI_FAILURE_COUNT, 10) || null,
+    },
   };
 };
 
+// Single provider from AI_PROVIDER / API keys, with AI_API_KEY, AI_MODEL and AI_BASE_URL overrides
+const getAIConfig = () => getProviderConfig(detectProvider(), {
+  apiKey: process.env.AI_API_KEY,
+  model: process.env.AI_MODEL,
+  baseUrl: process.env.AI_BASE_URL,
+});
+
+/**
+ * Ordered provider fallback chain
+ * AI_PROVIDERS="groq:llama-3.3-70b-versatile,openai:gpt-4o-mini" - tried in order.
+ * Without it the chain is the single configured provider.
+ * AI_BASE_URL applies to openai-compatible entries only.
+ */
+const getAIChain = () => {
+  if (!process.env.AI_PROVIDERS) {
+    const single = getAIConfig();
+    return single.provider ? [single] : [];
+  }
+
+  return process.env.AI_PROVIDERS
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      // Split on the first colon only - model names may contain colons
+      const [name, ...model] = entry.split(':');
+      const provider = name.trim();
+
+      return getProviderConfig(provider, {
+        model: model.join(':').trim(),
+        baseUrl: provider === 'openai-compatible' ? process.env.AI_BASE_URL : null,
+      });
+    });
+};
+
+const aiChain = getAIChain();
+
+// Per-phase history token budget overrides, e.g. HISTORY_TOKEN_BUDGET_DUMP=1500
+const getHistoryBudgets = () => {
+  const budgets = {};
+  for (const phase of ['DUMP', 'CLARITY', 'DECISION', 'PLANNING', 'EXECUTION']) {
+    const value = parseInt(process.env[`HISTORY_TOKEN_BUDGET_${phase}`], 10);
+    if (value > 0) {
+      budgets[phase] = value;
+    }
+  }
+  return budgets;
+};
+
+// Pinned prompt versions, e.g. PROMPT_VERSIONS=phase-dump:2,decision-system:1
+const getPromptVersions = () => {
+  const versions = {};
+  for (const entry of (process.env.PROMPT_VERSIONS || '').split(',')) {
+    const [id, version] = entry.split(':').map((part) => part.trim());
+    if (id && version) {
+      versions[id] = parseInt(version, 10);
+    }
+  }
+  return versions;
+};
+
 export const env = {
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -44,10 +135,103 @@ export const env = {
     password: process.env.DB_PASSWORD || 'password',
   },
   
-  ai: getAIConfig(),
+  sessions: {
+    // Storage backend: 'postgres' or 'memory' (tests / no database)
+    store: process.env.SESSION_STORE || 'postgres',
+    // Active sessions idle this long are abandoned (0 disables)
+    idleTimeoutHours: process.env.SESSION_IDLE_TIMEOUT_HOURS !== undefined
+      ? parseFloat(process.env.SESSION_IDLE_TIMEOUT_HOURS)
+      : 72,
+    idleSweepMinutes: parseFloat(process.env.SESSION_IDLE_SWEEP_MINUTES) || 15,
+  },
+
+  history: {
+    tokenBudgets: getHistoryBudgets(),
+    // When history overflows, fold down to this share of the budget
+    // so folding happens in chunks rather than every turn
+    foldTarget: parseFloat(process.env.HISTORY_FOLD_TARGET) || 0.7,
+  },
+
+  // Primary provider, then the full fallback chain
+  ai: aiChain[0] || getAIConfig(),
+  aiChain,
+
+  // Timeouts, retries and circuit breaker for every LLM call
+  resilience: {
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS, 10) || 30000,
+    maxRetries: process.env.AI_MAX_RETRIES !== undefined
+      ? parseInt(process.env.AI_MAX_RETRIES, 10)
+      : 2,
+    baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS, 10) || 500,
+    maxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS, 10) || 8000,
+    // Retry-After hints longer than this fail the call instead of waiting
+    maxRetryAfterMs: parseInt(process.env.AI_MAX_RETRY_AFTER_MS, 10) || 20000,
+    breakerThreshold: parseInt(process.env.AI_BREAKER_THRESHOLD, 10) || 5,
+    breakerCooldownMs: parseInt(process.env.AI_BREAKER_COOLDOWN_MS, 10) || 30000,
+  },
+  
+  // Per-user AI quotas (limits live in the quota_plans table)
+  quotas: {
+    enabled: process.env.QUOTAS_ENABLED !== 'false',
+    // Plan for users whose plan has no quota_plans row
+    defaultPlan: process.env.QUOTA_DEFAULT_PLAN || 'free',
+  },
+
+  // Admin endpoints are disabled without a key
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY || null,
+  },
+
+  // Opt-in cache for identical LLM requests
+  cache: {
+    enabled: process.env.AI_CACHE_ENABLED === 'true',
+    store: process.env.AI_CACHE_STORE || 'memory',
+    ttlSeconds: parseInt(process.env.AI_CACHE_TTL_SECONDS, 10) || 3600,
+    // Memory store only - least recently used entries are evicted first
+    maxEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES, 10) || 1000,
+    // Phase replies above this temperature are never cached
+    maxPhaseTemperature: process.env.AI_CACHE_MAX_PHASE_TEMPERATURE !== undefined
+      ? parseFloat(process.env.AI_CACHE_MAX_PHASE_TEMPERATURE)
+      : 0.4,
+    sweepMinutes: parseFloat(process.env.AI_CACHE_SWEEP_MINUTES) || 30,
+  },
+
+  // Read-only tools the decision engine may call (see decisionTools.js)
+  tools: {
+    enabled: process.env.AI_TOOLS_ENABLED !== 'false',
+    // Tool rounds before the model must answer
+    maxSteps: process.env.AI_TOOLS_MAX_STEPS !== undefined
+      ? parseInt(process.env.AI_TOOLS_MAX_STEPS, 10)
+      : 3,
+  },
+
+  // Clarify-first: vague decision input gets one question before a decision
+  clarify: {
+    enabled: process.env.AI_CLARIFY_ENABLED !== 'false',
+    // Inputs below this input clarity score (0-1) go through the model check
+    threshold: process.env.AI_CLARIFY_THRESHOLD !== undefined
+      ? parseFloat(process.env.AI_CLARIFY_THRESHOLD)
+      : 0.6,
+  },
+
+  // Versioned prompt templates (see promptRegistry.js)
+  prompts: {
+    // Defaults to the prompts/ directory of the repository
+    dir: process.env.PROMPTS_DIR || null,
+    // Unpinned prompts use their latest version
+    versions: getPromptVersions(),
+    // JSON file of prompt A/B experiments (see experimentService.js)
+    experimentsFile: process.env.PROMPT_EXPERIMENTS_FILE || null,
+  },
+
+  // LLM usage accounting
+  usage: {
+    // JSON price table merged over the defaults in pricing.js
+    pricesFile: process.env.AI_PRICES_FILE || null,
+  },
   
   // Backwards compatibility
-  openai: getAIConfig(),
+  openai: aiChain[0] || getAIConfig(),
   
   isDevelopment() {
     return this.nodeEnv === 'development';
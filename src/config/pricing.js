@@ -0,0 +1,71 @@
+/**
+ * LLM Price Table
+ *
+ * USD per 1M tokens: { input, output }, keyed by model name or by
+ * "provider:model" for a provider-specific price. Dated model names
+ * (gpt-4o-mini-2024-07-18) fall back to the longest matching prefix.
+ *
+ * AI_PRICES_FILE points to a JSON file of the same shape, merged over
+ * the defaults. Defaults are list prices and may be out of date.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { env } from './env.js';
+
+export const DEFAULT_PRICES = {
+  // Groq
+  'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+  'mixtral-8x7b-32768': { input: 0.24, output: 0.24 },
+  // OpenAI
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  // Anthropic
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  // Offline
+  'fake-1': { input: 0, output: 0 },
+};
+
+let priceTable = null;
+
+/**
+ * Load the price table (defaults + AI_PRICES_FILE), once
+ */
+export function getPriceTable() {
+  if (!priceTable) {
+    priceTable = { ...DEFAULT_PRICES };
+
+    if (env.usage.pricesFile) {
+      const resolved = path.resolve(env.usage.pricesFile);
+      if (!fs.existsSync(resolved)) {
+        throw new Error(`AI price table not found: ${resolved}`);
+      }
+      Object.assign(priceTable, JSON.parse(fs.readFileSync(resolved, 'utf8')));
+    }
+  }
+  return priceTable;
+}
+
+/**
+ * Find the price of a model
+ * Returns { input, output } or null when the model is not priced
+ */
+export function getModelPrice(provider, model) {
+  if (!model) return null;
+
+  const table = getPriceTable();
+  const exact = table[`${provider}:${model}`] || table[model];
+  if (exact) return exact;
+
+  const prefix = Object.keys(table)
+    .filter((key) => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? table[prefix] : null;
+}
@@ -39,6 +39,14 @@ A decision-first AI Personal Assistant backend that transforms unstructured user
         name: 'Task',
         description: 'Task management operations',
       },
+      {
+        name: 'Usage',
+        description: 'LLM token usage and estimated cost',
+      },
+      {
+        name: 'Admin',
+        description: 'Quota plans, per-user overrides, prompt versions and experiments (X-Admin-Key)',
+      },
     ],
   },
   apis: ['./src/routes/*.js'],
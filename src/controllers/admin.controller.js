@@ -0,0 +1,207 @@
+import { quotaService, toLimits, fromLimits } from '../services/usage/quotaService.js';
+import { QuotaModel, UNLIMITED_OVERRIDE } from '../models/quota.model.js';
+import { UserModel } from '../models/user.model.js';
+import { promptRegistry } from '../services/ai/promptRegistry.js';
+import { experimentService } from '../services/ai/experimentService.js';
+import { Errors, asyncHandler } from '../middlewares/error.middleware.js';
+
+const LIMIT_KEYS = ['dailyRequests', 'dailyTokens', 'monthlyRequests', 'monthlyTokens'];
+const PLAN_NAME_PATTERN = /^[a-z0-9_-]{1,30}$/;
+
+/**
+ * Validate the limits in a request body
+ * Each limit is a non-negative integer or null; overrides may also be
+ * UNLIMITED_OVERRIDE (-1)
+ */
+function validateLimits(body, { override = false } = {}) {
+  const min = override ? UNLIMITED_OVERRIDE : 0;
+  const errors = LIMIT_KEYS
+    .filter((key) => body[key] !== undefined && body[key] !== null)
+    .filter((key) => !Number.isInteger(body[key]) || body[key] < min)
+    .map((key) => (override
+      ? `${key} must be a non-negative integer, ${UNLIMITED_OVERRIDE} (unlimited) or null`
+      : `${key} must be a non-negative integer or null`));
+
+  if (errors.length > 0) {
+    throw Errors.validation(errors.join(', '));
+  }
+}
+
+/**
+ * Admin controller.
+ * Manages quota plans and per-user quota overrides,
+ * and shows the prompt versions and experiments in use.
+ */
+export const adminController = {
+  /**
+   * GET /admin/quotas/plans
+   * Lists every plan and its limits
+   */
+  listPlans: asyncHandler(async (req, res) => {
+    const plans = await QuotaModel.findAllPlans();
+
+    res.json({
+      success: true,
+      data: plans.map((plan) => ({ plan: plan.plan, ...toLimits(plan), updatedAt: plan.updated_at })),
+    });
+  }),
+
+  /**
+   * PUT /admin/quotas/plans/:plan
+   * Creates or replaces a plan - omitted or null limits are unlimited
+   */
+  updatePlan: asyncHandler(async (req, res) => {
+    const { plan } = req.params;
+
+    if (!PLAN_NAME_PATTERN.test(plan)) {
+      throw Errors.validation('Plan names use lowercase letters, digits, - and _ (max 30)');
+    }
+    validateLimits(req.body);
+
+    const saved = await QuotaModel.upsertPlan(plan, fromLimits(req.body));
+
+    res.json({
+      success: true,
+      data: { plan: saved.plan, ...toLimits(saved), updatedAt: saved.updated_at },
+    });
+  }),
+
+  /**
+   * GET /admin/quotas/users/:userId
+   * Effective limits, overrides and current usage of a user
+   */
+  getUserQuota: asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    const user = await UserModel.findById(userId);
+    if (!user) {
+      throw Errors.notFound('User not found');
+    }
+
+    res.json({
+      success: true,
+      data: await quotaService.getQuotaStatus(userId),
+    });
+  }),
+
+  /**
+   * PUT /admin/quotas/users/:userId
+   * Moves a user to a plan and/or replaces their overrides.
+   * Overrides are only replaced when a limit is given; null uses the plan's limit, -1 is unlimited.
+   */
+  updateUserQuota: asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { plan } = req.body;
+
+    const user = await UserModel.findById(userId);
+    if (!user) {
+      throw Errors.notFound('User not found');
+    }
+
+    validateLimits(req.body, { override: true });
+
+    if (plan !== undefined) {
+      if (typeof plan !== 'string' || !(await QuotaModel.findPlan(plan))) {
+        throw Errors.validation(`Unknown plan "${plan}"`);
+      }
+      await UserModel.update(userId, { plan });
+    }
+
+    if (LIMIT_KEYS.some((key) => req.body[key] !== undefined)) {
+      await QuotaModel.upsertOverride(userId, fromLimits(req.body));
+    }
+
+    res.json({
+      success: true,
+      data: await quotaService.getQuotaStatus(userId),
+    });
+  }),
+
+  /**
+   * DELETE /admin/quotas/users/:userId
+   * Removes a user's overrides - their plan's limits apply again
+   */
+  deleteUserQuota: asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    const deleted = await QuotaModel.deleteOverride(userId);
+    if (!deleted) {
+      throw Errors.notFound('User has no quota overrides');
+    }
+
+    res.json({
+      success: true,
+      data: await quotaService.getQuotaStatus(userId),
+    });
+  }),
+
+  /**
+   * GET /admin/prompts
+   * Lists every prompt with its active and available versions
+   */
+  listPrompts: asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: promptRegistry.list(),
+    });
+  }),
+
+  /**
+   * GET /admin/prompts/:promptId
+   * Text of the active version, or of ?version=N
+   */
+  getPrompt: asyncHandler(async (req, res) => {
+    const { promptId } = req.params;
+
+    if (!promptRegistry.has(promptId)) {
+      throw Errors.notFound(`Unknown prompt "${promptId}"`);
+    }
+
+    let prompt = promptRegistry.get(promptId);
+    if (req.query.version !== undefined) {
+      const version = Number(req.query.version);
+      if (!Number.isInteger(version)) {
+        throw Errors.validation('version must be an integer');
+      }
+
+      prompt = promptRegistry.getVersion(promptId, version);
+      if (!prompt) {
+        throw Errors.notFound(`Prompt "${promptId}" has no version ${version}`);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { ...prompt, active: prompt.version === promptRegistry.get(promptId).version },
+    });
+  }),
+
+  /**
+   * GET /admin/experiments
+   * Lists the configured prompt experiments
+   */
+  listExperiments: asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: experimentService.list(),
+    });
+  }),
+
+  /**
+   * GET /admin/experiments/:experimentId
+   * Per-variant metrics of an experiment
+   */
+  getExperimentMetrics: asyncHandler(async (req, res) => {
+    const { experimentId } = req.params;
+
+    const experiment = experimentService.findById(experimentId);
+    if (!experiment) {
+      throw Errors.notFound(`Unknown experiment "${experimentId}"`);
+    }
+
+    res.json({
+      success: true,
+      data: await experimentService.getMetrics(experiment),
+    });
+  }),
+};
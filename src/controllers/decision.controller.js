@@ -1,11 +1,296 @@
 import { decisionEngine } from '../services/ai/decisionEngine.js';
 import { taskService } from '../services/task/taskService.js';
 import { contextService } from '../services/memory/contextService.js';
-import { DecisionModel } from '../models/decision.model.js';
+import { DecisionModel, DECISION_STATUSES } from '../models/decision.model.js';
+import { decisionVersionService } from '../services/decision/versionService.js';
+import { retrospectiveService } from '../services/decision/retrospectiveService.js';
+import { usageService } from '../services/usage/usageService.js';
+import { quotaService } from '../services/usage/quotaService.js';
 import { validateInput, normalizeInput } from '../utils/normalizeInput.js';
 import { calculateConfidenceScore } from '../utils/confidenceScore.js';
 import { Errors, asyncHandler } from '../middlewares/error.middleware.js';
 
+/**
+ * Version numbers are positive integers
+ */
+function parseVersion(value, name = 'version') {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw Errors.validation(`${name} must be a positive integer`);
+  }
+  return version;
+}
+
+async function findDecisionOr404(id) {
+  const decision = await DecisionModel.findById(id);
+  if (!decision) {
+    throw Errors.notFound('Decision not found');
+  }
+  return decision;
+}
+
+async function findVersionOr404(decision, version) {
+  const found = await decisionVersionService.getVersion(decision, version);
+  if (!found) {
+    throw Errors.notFound(`Decision has no version ${version}`);
+  }
+  return found;
+}
+
+// Answers to "Are we aligned, or should we challenge this before moving on?"
+const ALIGNMENT_ANSWERS = [DECISION_STATUSES.ALIGNED, DECISION_STATUSES.CHALLENGED, DECISION_STATUSES.DEFERRED];
+
+// Status of input waiting for the answer to a clarifying question
+const NEEDS_CLARIFICATION = 'needs_clarification';
+
+// Outcomes can be recorded once the alignment check is answered
+const REVIEWABLE_STATUSES = [
+  DECISION_STATUSES.ALIGNED,
+  DECISION_STATUSES.DEFERRED,
+  DECISION_STATUSES.REVERSED,
+  DECISION_STATUSES.DONE,
+];
+
+const MAX_OUTCOME_NOTE_LENGTH = 2000;
+
+/**
+ * Map an outcome row to the API shape
+ */
+function toOutcome(row) {
+  return row && {
+    rating: row.rating,
+    whatHappened: row.what_happened,
+    wouldDecideAgain: row.would_decide_again,
+    recordedAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Reversed and done decisions can no longer change
+ */
+function assertOpen(decision) {
+  if (decision.status === DECISION_STATUSES.REVERSED || decision.status === DECISION_STATUSES.DONE) {
+    throw Errors.conflict(`Decision is ${decision.status} and can no longer change`);
+  }
+}
+
+/**
+ * Move a decision to a status
+ * Repeating the current status is a no-op; invalid transitions are conflicts.
+ */
+async function changeStatus(decision, toStatus, options) {
+  if (decision.status === toStatus) return decision;
+
+  const updated = await DecisionModel.setStatus(decision.id, toStatus, options);
+  if (!updated) {
+    throw Errors.conflict(`Cannot move decision from ${decision.status} to ${toStatus}`);
+  }
+  return updated;
+}
+
+/**
+ * Refine a decision with feedback and store the result as its new current version
+ * status: the decision's status afterwards - proposed, or challenged for a challenge
+ * Returns the refinement in the API shape
+ */
+async function refineWithFeedback(decision, feedback, res, { status = DECISION_STATUSES.PROPOSED } = {}) {
+  await quotaService.enforce(decision.user_id, res);
+
+  const tasks = await taskService.getTasksByDecisionId(decision.id);
+
+  const aiResult = await decisionEngine.refineDecision({
+    originalDecision: {
+      decision: decision.decision,
+      reasoning: decision.reasoning,
+      tasks,
+    },
+    feedback: normalizeInput(feedback),
+    userId: decision.user_id,
+  });
+
+  await usageService.recordCalls(aiResult.calls, {
+    userId: decision.user_id,
+    decisionId: decision.id,
+    purpose: 'refinement',
+  });
+
+  // Calculate new confidence
+  const confidence = calculateConfidenceScore(aiResult, {
+    userInput: decision.user_input,
+    hasContext: true,
+  });
+
+  // The refinement becomes the current version, with its tasks
+  const saved = await decisionVersionService.refine(decision, aiResult, {
+    feedback: normalizeInput(feedback),
+    confidence: confidence.overall,
+    status,
+  });
+
+  return {
+    id: decision.id,
+    version: saved.version.version,
+    status: saved.decision.status,
+    decision: aiResult.decision,
+    reasoning: aiResult.reasoning,
+    tasks: aiResult.tasks,
+    confidence: confidence.overall,
+    generatedBy: {
+      provider: aiResult.provider,
+      model: aiResult.model,
+      prompt: aiResult.prompt,
+      experiment: aiResult.experiment,
+    },
+    cached: aiResult.cached,
+    refinedFrom: decision.id,
+  };
+}
+
+/**
+ * Store input that needs clarification and bill the check
+ * Returns the needs_clarification response data, or null when the
+ * database is unavailable (the decision is then generated right away)
+ */
+async function savePendingDecision(check, { userId, userInput }) {
+  let pending;
+  try {
+    pending = await DecisionModel.createClarification({
+      userId: userId || null,
+      userInput,
+      question: check.question,
+      clarityScore: check.clarity,
+      promptId: check.prompt.id,
+      promptVersion: check.prompt.version,
+    });
+  } catch (dbError) {
+    console.warn('[decision] Database unavailable, skipping clarification:', dbError.message);
+    return null;
+  }
+
+  await usageService.recordCalls(check.calls, {
+    userId: userId || null,
+    decisionId: pending.id,
+  });
+
+  return {
+    id: pending.id,
+    status: NEEDS_CLARIFICATION,
+    question: pending.question,
+    clarity: check.clarity,
+  };
+}
+
+/**
+ * Score, persist (with a userId or a clarification) and bill a generated decision
+ * - id: reserved by a clarification, if any
+ * - clarification: the user's answer - counts towards input clarity, and is
+ *   recorded with the decision in one transaction (database errors are not
+ *   swallowed here, the decision's id is already handed out)
+ * - calls: earlier calls to bill with it (the clarity check)
+ * Returns the response data
+ */
+async function finishDecision(aiResult, { id, userId, userInput, clarification = null, hasContext, calls = [] }) {
+  // Calculate confidence score
+  const confidence = calculateConfidenceScore(aiResult, {
+    userInput: clarification ? `${userInput} ${clarification}` : userInput,
+    hasContext,
+  });
+
+  // Prepare response
+  const response = {
+    decision: aiResult.decision,
+    reasoning: aiResult.reasoning,
+    tasks: aiResult.tasks,
+    confidence: confidence.overall,
+    generatedBy: {
+      provider: aiResult.provider,
+      model: aiResult.model,
+      prompt: aiResult.prompt,
+      experiment: aiResult.experiment,
+    },
+    cached: aiResult.cached,
+    status: DECISION_STATUSES.PROPOSED,
+    toolCalls: aiResult.toolCalls.map(({ step, tool, arguments: args, error }) => ({
+      step,
+      tool,
+      arguments: args,
+      error,
+    })),
+  };
+
+  const record = {
+    id,
+    userId,
+    userInput,
+    decision: aiResult.decision,
+    reasoning: aiResult.reasoning,
+    confidenceScore: confidence.overall,
+    aiProvider: aiResult.provider,
+    aiModel: aiResult.model,
+    promptId: aiResult.prompt.id,
+    promptVersion: aiResult.prompt.version,
+    experimentId: aiResult.experiment?.id,
+    experimentVariant: aiResult.experiment?.variant,
+    regenerated: aiResult.repaired,
+  };
+
+  if (clarification) {
+    const savedDecision = await DecisionModel.completeClarification(id, clarification, record, {
+      tasks: aiResult.tasks,
+      toolCalls: aiResult.toolCalls,
+    });
+    if (!savedDecision) {
+      throw Errors.conflict('Decision was already clarified');
+    }
+    response.id = savedDecision.id;
+  } else if (userId) {
+    // Persist if user is identified (optional - fails gracefully if DB unavailable)
+    try {
+      const savedDecision = await DecisionModel.create(record);
+
+      // Save tasks and the tools the model looked at
+      await taskService.createTasksForDecision(savedDecision.id, aiResult.tasks);
+      await DecisionModel.addToolCalls(savedDecision.id, aiResult.toolCalls);
+
+      response.id = savedDecision.id;
+    } catch (dbError) {
+      // Database unavailable - continue without persistence
+      console.warn('[decision] Database unavailable, skipping persistence:', dbError.message);
+      response.persisted = false;
+    }
+  }
+
+  // Bill the calls (repairs included) to the user and the saved decision (if any)
+  await usageService.recordCalls([...calls, ...aiResult.calls], {
+    userId: userId || null,
+    decisionId: response.id || null,
+    purpose: 'decision',
+  });
+
+  return response;
+}
+
+/**
+ * Build a handler that moves a decision to a final status
+ */
+function transitionTo(toStatus, message) {
+  return asyncHandler(async (req, res) => {
+    const decision = await findDecisionOr404(req.params.id);
+    const updated = await changeStatus(decision, toStatus);
+
+    res.json({
+      success: true,
+      data: {
+        id: updated.id,
+        previousStatus: decision.status,
+        status: updated.status,
+        message,
+      },
+    });
+  });
+}
+
 /**
  * Decision controller.
  * Handles decision generation and management.
@@ -26,54 +311,41 @@ export const decisionController = {
 
     const normalizedInput = validation.normalized;
 
+    // Reject before spending tokens if the user is over quota
+    await quotaService.enforce(userId, res);
+
     // Get user context if available
     let context = null;
     if (userId) {
       context = await contextService.getContextForUser(userId);
     }
 
+    // Vague input gets one targeted question before any decision is made
+    const check = await decisionEngine.checkClarity({ userInput: normalizedInput, context, userId });
+    if (check.needsClarification) {
+      const pending = await savePendingDecision(check, { userId, userInput: normalizedInput });
+      if (pending) {
+        return res.status(202).json({
+          success: true,
+          data: pending,
+        });
+      }
+    }
+
     // Generate decision using AI
     const aiResult = await decisionEngine.generateDecision({
       userInput: normalizedInput,
       context,
+      userId,
     });
 
-    // Calculate confidence score
-    const confidence = calculateConfidenceScore(aiResult, {
+    const response = await finishDecision(aiResult, {
+      userId,
       userInput: normalizedInput,
       hasContext: !!context,
+      calls: check.calls,
     });
 
-    // Prepare response
-    const response = {
-      decision: aiResult.decision,
-      reasoning: aiResult.reasoning,
-      tasks: aiResult.tasks,
-      confidence: confidence.overall,
-    };
-
-    // Persist if user is identified (optional - fails gracefully if DB unavailable)
-    if (userId) {
-      try {
-        const savedDecision = await DecisionModel.create({
-          userId,
-          userInput: normalizedInput,
-          decision: aiResult.decision,
-          reasoning: aiResult.reasoning,
-          confidenceScore: confidence.overall,
-        });
-
-        // Save tasks
-        await taskService.createTasksForDecision(savedDecision.id, aiResult.tasks);
-
-        response.id = savedDecision.id;
-      } catch (dbError) {
-        // Database unavailable - continue without persistence
-        console.warn('[decision] Database unavailable, skipping persistence:', dbError.message);
-        response.persisted = false;
-      }
-    }
-
     res.status(201).json({
       success: true,
       data: response,
@@ -88,30 +360,119 @@ export const decisionController = {
     const { id } = req.params;
 
     const decision = await DecisionModel.findById(id);
+    const clarification = await DecisionModel.findClarification(id);
     if (!decision) {
+      // Still waiting for the answer to its clarifying question
+      if (clarification && !clarification.completed_at) {
+        return res.json({
+          success: true,
+          data: {
+            id,
+            status: NEEDS_CLARIFICATION,
+            question: clarification.question,
+            user_input: clarification.user_input,
+            created_at: clarification.created_at,
+          },
+        });
+      }
       throw Errors.notFound('Decision not found');
     }
 
     const tasks = await taskService.getTasksByDecisionId(id);
+    const toolCalls = await DecisionModel.findToolCalls(id);
+    const outcome = await DecisionModel.findOutcome(id);
 
     res.json({
       success: true,
       data: {
         ...decision,
         tasks,
+        toolCalls,
+        outcome: toOutcome(outcome),
+        clarification: clarification && {
+          question: clarification.question,
+          answer: clarification.clarification,
+        },
+      },
+    });
+  }),
+
+  /**
+   * POST /decision/:id/clarify
+   * Answers the clarifying question of a pending decision and generates it
+   */
+  clarify: asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const validation = validateInput(req.body.clarification);
+    if (!validation.valid) {
+      throw Errors.validation(validation.errors.map((error) => error.replace(/^Input/, 'Clarification')).join(', '));
+    }
+    const clarification = validation.normalized;
+
+    const pending = await DecisionModel.findClarification(id);
+    if (!pending) {
+      throw Errors.notFound('Decision not found');
+    }
+    if (pending.completed_at) {
+      throw Errors.conflict('Decision was already clarified');
+    }
+
+    await quotaService.enforce(pending.user_id, res);
+
+    // Claimed before the model is called, so a concurrent answer never reaches it
+    if (!(await DecisionModel.claimClarification(id))) {
+      throw Errors.conflict('Decision is already being clarified');
+    }
+
+    let response;
+    try {
+      const context = pending.user_id ? await contextService.getContextForUser(pending.user_id) : null;
+
+      const aiResult = await decisionEngine.handleClarification({
+        originalInput: pending.user_input,
+        clarification,
+        question: pending.question,
+        context,
+        userId: pending.user_id,
+      });
+
+      response = await finishDecision(aiResult, {
+        id,
+        userId: pending.user_id,
+        userInput: pending.user_input,
+        clarification,
+        hasContext: !!context,
+      });
+    } catch (error) {
+      // The question stays open for another answer
+      await DecisionModel.releaseClarification(id);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...response,
+        clarification: { question: pending.question, answer: clarification },
       },
     });
   }),
 
   /**
    * GET /decision/user/:userId
-   * Gets decisions for a user
+   * Gets decisions for a user, optionally with one status
    */
   getByUserId: asyncHandler(async (req, res) => {
     const { userId } = req.params;
-    const { limit = 10 } = req.query;
+    const { limit = 10, status } = req.query;
 
-    const decisions = await DecisionModel.findByUserId(userId, parseInt(limit, 10));
+    const statuses = Object.values(DECISION_STATUSES);
+    if (status !== undefined && !statuses.includes(status)) {
+      throw Errors.validation(`Invalid status. Must be one of: ${statuses.join(', ')}`);
+    }
+
+    const decisions = await DecisionModel.findByUserId(userId, parseInt(limit, 10), status || null);
 
     res.json({
       success: true,
@@ -119,48 +480,226 @@ export const decisionController = {
     });
   }),
 
+  /**
+   * GET /decision/user/:userId/retrospective
+   * Compares a user's recorded outcomes with confidence and task completion
+   */
+  getRetrospective: asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await retrospectiveService.getRetrospective(req.params.userId),
+    });
+  }),
+
+  /**
+   * POST /decision/:id/outcome
+   * Records how a decision turned out (recording again replaces it)
+   */
+  recordOutcome: asyncHandler(async (req, res) => {
+    const { rating, whatHappened, wouldDecideAgain } = req.body;
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw Errors.validation('rating must be an integer from 1 to 5');
+    }
+    if (typeof wouldDecideAgain !== 'boolean') {
+      throw Errors.validation('wouldDecideAgain must be true or false');
+    }
+    if (whatHappened !== undefined && whatHappened !== null && typeof whatHappened !== 'string') {
+      throw Errors.validation('whatHappened must be a string');
+    }
+
+    const note = normalizeInput(whatHappened);
+    if (note.length > MAX_OUTCOME_NOTE_LENGTH) {
+      throw Errors.validation(`whatHappened is too long (maximum ${MAX_OUTCOME_NOTE_LENGTH} characters)`);
+    }
+
+    const decision = await findDecisionOr404(req.params.id);
+    if (!REVIEWABLE_STATUSES.includes(decision.status)) {
+      throw Errors.conflict(`Decision is ${decision.status} - answer the alignment check before recording an outcome`);
+    }
+
+    const outcome = await DecisionModel.recordOutcome(decision.id, {
+      rating,
+      whatHappened: note || null,
+      wouldDecideAgain,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        id: decision.id,
+        status: decision.status,
+        confidence: decision.confidence_score == null ? null : Number(decision.confidence_score),
+        outcome: toOutcome(outcome),
+      },
+    });
+  }),
+
   /**
    * POST /decision/:id/refine
    * Refines an existing decision based on feedback
    */
   refine: asyncHandler(async (req, res) => {
-    const { id } = req.params;
     const { feedback } = req.body;
 
     if (!feedback || typeof feedback !== 'string') {
       throw Errors.validation('Feedback is required');
     }
 
-    const originalDecision = await DecisionModel.findById(id);
-    if (!originalDecision) {
-      throw Errors.notFound('Decision not found');
+    const originalDecision = await findDecisionOr404(req.params.id);
+    assertOpen(originalDecision);
+
+    res.json({
+      success: true,
+      data: await refineWithFeedback(originalDecision, feedback, res),
+    });
+  }),
+
+  /**
+   * POST /decision/:id/alignment
+   * Answers the alignment check: aligned activates the decision's tasks,
+   * challenged refines the decision with the feedback, deferred parks it
+   */
+  respondToAlignment: asyncHandler(async (req, res) => {
+    const { answer, feedback, deferUntil } = req.body;
+
+    if (!ALIGNMENT_ANSWERS.includes(answer)) {
+      throw Errors.validation(`Invalid answer. Must be one of: ${ALIGNMENT_ANSWERS.join(', ')}`);
+    }
+    if (answer === DECISION_STATUSES.CHALLENGED && (!feedback || typeof feedback !== 'string')) {
+      throw Errors.validation('Feedback is required to challenge a decision');
+    }
+    if (deferUntil !== undefined && (answer !== DECISION_STATUSES.DEFERRED || Number.isNaN(Date.parse(deferUntil)))) {
+      throw Errors.validation('deferUntil must be a date, and only comes with a deferred answer');
     }
 
-    const tasks = await taskService.getTasksByDecisionId(id);
+    const decision = await findDecisionOr404(req.params.id);
+    assertOpen(decision);
 
-    const aiResult = await decisionEngine.refineDecision({
-      originalDecision: {
-        decision: originalDecision.decision,
-        reasoning: originalDecision.reasoning,
-        tasks,
-      },
-      feedback: normalizeInput(feedback),
+    if (answer === DECISION_STATUSES.CHALLENGED) {
+      // Refined before any status change, so a quota or provider error leaves the
+      // decision as it was. The refinement is stored as challenged in the same step,
+      // and waits for its own answer.
+      const refinement = await refineWithFeedback(decision, feedback, res, {
+        status: DECISION_STATUSES.CHALLENGED,
+      });
+
+      return res.json({
+        success: true,
+        data: {
+          id: decision.id,
+          previousStatus: decision.status,
+          status: refinement.status,
+          refinement,
+        },
+      });
+    }
+
+    const updated = await changeStatus(decision, answer, { deferUntil });
+
+    const data = {
+      id: updated.id,
+      previousStatus: decision.status,
+      status: updated.status,
+    };
+
+    if (answer === DECISION_STATUSES.ALIGNED) {
+      data.tasks = await taskService.getTasksByDecisionId(updated.id);
+    } else {
+      data.deferUntil = updated.defer_until;
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  }),
+
+  /**
+   * POST /decision/:id/reverse
+   * Drops the decision - its tasks are no longer active
+   */
+  reverse: transitionTo(DECISION_STATUSES.REVERSED, 'Decision reversed.'),
+
+  /**
+   * POST /decision/:id/complete
+   * Marks an aligned decision as done
+   */
+  complete: transitionTo(DECISION_STATUSES.DONE, 'Decision done.'),
+
+  /**
+   * GET /decision/:id/versions
+   * Lists every version of a decision
+   */
+  listVersions: asyncHandler(async (req, res) => {
+    const decision = await findDecisionOr404(req.params.id);
+
+    res.json({
+      success: true,
+      data: await decisionVersionService.listVersions(decision),
     });
+  }),
+
+  /**
+   * GET /decision/:id/versions/diff?from=&to=
+   * Compares two versions (default: the current one and the one before it)
+   */
+  diffVersions: asyncHandler(async (req, res) => {
+    const decision = await findDecisionOr404(req.params.id);
+
+    const to = req.query.to !== undefined ? parseVersion(req.query.to, 'to') : decision.current_version;
+    const from = req.query.from !== undefined ? parseVersion(req.query.from, 'from') : to - 1;
+    if (from < 1) {
+      throw Errors.validation('Decision has a single version - nothing to compare');
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      findVersionOr404(decision, from),
+      findVersionOr404(decision, to),
+    ]);
+
+    res.json({
+      success: true,
+      data: decisionVersionService.diff(fromVersion, toVersion),
+    });
+  }),
 
-    // Calculate new confidence
-    const confidence = calculateConfidenceScore(aiResult, {
-      userInput: originalDecision.user_input,
-      hasContext: true,
+  /**
+   * GET /decision/:id/versions/:version
+   * One version of a decision
+   */
+  getVersion: asyncHandler(async (req, res) => {
+    const decision = await findDecisionOr404(req.params.id);
+
+    res.json({
+      success: true,
+      data: await findVersionOr404(decision, parseVersion(req.params.version)),
     });
+  }),
+
+  /**
+   * POST /decision/:id/versions/:version/rollback
+   * Makes an earlier version current again, with its tasks
+   */
+  rollback: asyncHandler(async (req, res) => {
+    const decision = await findDecisionOr404(req.params.id);
+    assertOpen(decision);
+    const version = parseVersion(req.params.version);
+
+    if (version === decision.current_version) {
+      throw Errors.conflict(`Version ${version} is already current`);
+    }
+    const target = await findVersionOr404(decision, version);
+
+    const saved = await decisionVersionService.rollback(decision, target);
 
     res.json({
       success: true,
       data: {
-        decision: aiResult.decision,
-        reasoning: aiResult.reasoning,
-        tasks: aiResult.tasks,
-        confidence: confidence.overall,
-        refinedFrom: id,
+        ...saved.decision,
+        tasks: saved.tasks,
+        version: saved.version.version,
+        restoredFrom: version,
       },
     });
   }),
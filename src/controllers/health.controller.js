@@ -1,5 +1,7 @@
 import { db } from '../config/db.js';
+import { env } from '../config/env.js';
 import { decisionEngine } from '../services/ai/decisionEngine.js';
+import { getCircuitStates, CIRCUIT_STATES } from '../services/ai/resilience.js';
 
 /**
  * Health check controller.
@@ -36,28 +38,42 @@ export const healthController = {
       health.status = 'degraded';
     }
 
-    // Check OpenAI (optional, skip if not configured)
-    if (process.env.OPENAI_API_KEY) {
+    // Check AI provider (optional, skip if not configured)
+    if (env.ai.provider) {
       try {
         const aiHealth = await decisionEngine.healthCheck();
-        health.checks.openai = aiHealth;
+        health.checks.ai = {
+          ...aiHealth,
+          // Fallback order - the answering provider may not be the first
+          chain: env.aiChain.map(({ provider, model }) => ({ provider, model })),
+        };
         if (aiHealth.status !== 'ok') {
           health.status = 'degraded';
         }
       } catch (error) {
-        health.checks.openai = { 
+        health.checks.ai = { 
           status: 'error', 
-          message: 'OpenAI check failed' 
+          message: 'AI provider check failed' 
         };
         health.status = 'degraded';
       }
     } else {
-      health.checks.openai = { 
+      health.checks.ai = { 
         status: 'unconfigured', 
-        message: 'API key not set' 
+        message: 'AI provider not set' 
       };
     }
 
+    // Circuit breakers - an open circuit means AI calls are failing fast
+    const circuits = getCircuitStates();
+    health.checks.aiCircuit = {
+      status: circuits.some((c) => c.state === CIRCUIT_STATES.OPEN) ? 'open' : 'ok',
+      breakers: circuits,
+    };
+    if (health.checks.aiCircuit.status !== 'ok') {
+      health.status = 'degraded';
+    }
+
     const statusCode = health.status === 'ok' ? 200 : 503;
     res.status(statusCode).json(health);
   },
@@ -2,12 +2,125 @@
  * Session Controller
  * 
  * Handles HTTP requests for session-based conversations.
- * Phase 1 (DUMP) is currently implemented.
+ * All five phases (DUMP, CLARITY, DECISION, PLANNING, EXECUTION) are implemented.
  */
 
 import { sessionService } from '../services/session/sessionService.js';
+import { quotaService } from '../services/usage/quotaService.js';
 import { Errors, asyncHandler } from '../middlewares/error.middleware.js';
-import { PHASES } from '../models/session.model.js';
+import { SessionModel, PHASES, SESSION_STATES } from '../models/session.model.js';
+import { UserModel } from '../models/user.model.js';
+import { env } from '../config/env.js';
+import { responseParser } from '../services/ai/responseParser.js';
+import { wantsEventStream, openEventStream } from '../utils/sse.js';
+
+/**
+ * Shape a processMessage result for the API
+ * Shared by the JSON response and the final SSE event
+ */
+function formatMessageResult(result) {
+  return {
+    message: result.message,
+    phase: result.phase,
+    // DECISION phase only: the stored commit/defer outcome
+    ...(result.decision && { decision: result.decision }),
+    // PLANNING phase only: tasks awaiting acceptance
+    ...(result.proposedTasks && { proposedTasks: result.proposedTasks }),
+    // EXECUTION phase only: status changes and the current task list
+    ...(result.tasks && { taskUpdates: result.taskUpdates, tasks: result.tasks }),
+    // Include validation info for debugging (can remove in production)
+    _meta: {
+      validationPassed: result.validationPassed,
+      regenerated: result.regenerated,
+      cached: result.cached,
+      experiment: result.experiment,
+      violations: result.violations.map(({ ruleId, severity, action, attempt }) => ({
+        ruleId,
+        severity,
+        action,
+        attempt,
+      })),
+    },
+  };
+}
+
+/**
+ * Stream a message reply as Server-Sent Events
+ * 
+ * Events:
+ * - token: { content, attempt } - next piece of the reply
+ * - retry: { attempt, nextAttempt, violations } - the streamed reply failed
+ *   validation; discard it, tokens for the regenerated reply follow
+ * - done:  same shape as the JSON response data (saved message + _meta)
+ * - error: { code, message } - the stream ends after this
+ * 
+ * Structured phases (DECISION, PLANNING, EXECUTION) send no token events.
+ */
+async function streamMessage(res, sessionId, content) {
+  const stream = openEventStream(res);
+
+  try {
+    const result = await sessionService.processMessage(sessionId, content, {
+      onToken: (delta, attempt) => stream.send('token', { content: delta, attempt }),
+      onRetry: (retry) => stream.send('retry', retry),
+    });
+
+    stream.send('done', formatMessageResult(result));
+  } catch (error) {
+    console.error('[session] Streaming failed:', error.message);
+    stream.send('error', {
+      code: error.code || 'INTERNAL_ERROR',
+      message: error.message || 'Internal server error',
+    });
+  } finally {
+    stream.close();
+  }
+}
+
+/**
+ * Reject interaction with sessions that are not active
+ */
+function assertActive(session) {
+  if (session.state !== SESSION_STATES.ACTIVE) {
+    const hint = session.state === SESSION_STATES.PAUSED
+      ? ' Resume it first.'
+      : ' Start a new session to continue.';
+    throw Errors.conflict(`Session is ${session.state}.${hint}`);
+  }
+}
+
+/**
+ * Build a handler that moves a session to a lifecycle state
+ */
+function transitionTo(toState, message) {
+  return asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const session = await sessionService.getSession(id);
+    if (!session) {
+      throw Errors.notFound('Session not found');
+    }
+
+    // Repeating the same transition is a no-op
+    const updated = session.state === toState
+      ? session
+      : await sessionService.changeState(id, toState);
+    if (!updated) {
+      throw Errors.conflict(`Cannot move session from ${session.state} to ${toState}`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: updated.id,
+        phase: updated.current_phase,
+        previousState: session.state,
+        state: updated.state,
+        message,
+      },
+    });
+  });
+}
 
 export const sessionController = {
   /**
@@ -19,6 +132,11 @@ export const sessionController = {
   create: asyncHandler(async (req, res) => {
     const { userId } = req.body;
 
+    // The memory store has no users table to check against
+    if (userId && env.sessions.store === 'postgres' && !(await UserModel.findById(userId))) {
+      throw Errors.notFound('User not found');
+    }
+
     const session = await sessionService.createSession(userId || null);
 
     res.status(201).json({
@@ -26,11 +144,33 @@ export const sessionController = {
       data: {
         id: session.id,
         phase: session.current_phase,
+        state: session.state,
         createdAt: session.created_at,
       },
     });
   }),
 
+  /**
+   * Get phase-rule violation statistics
+   * GET /session/violations/stats
+   * 
+   * Shows which rules the model breaks most, optionally for one phase.
+   */
+  getViolationStats: asyncHandler(async (req, res) => {
+    const { phase } = req.query;
+
+    if (phase && !Object.values(PHASES).includes(phase)) {
+      throw Errors.validation(`Invalid phase. Must be one of: ${Object.values(PHASES).join(', ')}`);
+    }
+
+    const stats = await sessionService.getViolationStats(phase || null);
+
+    res.json({
+      success: true,
+      data: stats,
+    });
+  }),
+
   /**
    * Get session by ID
    * GET /session/:id
@@ -43,11 +183,24 @@ export const sessionController = {
       throw Errors.notFound('Session not found');
     }
 
+    // Returning users in EXECUTION pick up where their tasks stand
+    const tasks = session.current_phase === PHASES.EXECUTION
+      ? await sessionService.getSessionTasks(session)
+      : undefined;
+
+    const lineage = await sessionService.getLineage(session);
+
     res.json({
       success: true,
       data: {
         id: session.id,
         phase: session.current_phase,
+        state: session.state,
+        decisionId: session.decision_id || null,
+        proposedTasks: session.proposed_tasks || null,
+        tasksAcceptedAt: session.tasks_accepted_at || null,
+        ...(tasks && { tasks }),
+        lineage,
         messages: session.messages,
         createdAt: session.created_at,
         updatedAt: session.updated_at,
@@ -76,20 +229,22 @@ export const sessionController = {
       throw Errors.notFound('Session not found');
     }
 
+    assertActive(session);
+
+    // Reject before spending tokens if the user is over quota
+    await quotaService.enforce(session.user_id, res);
+
+    // Opt-in streaming via Accept: text/event-stream
+    if (wantsEventStream(req)) {
+      return streamMessage(res, id, content.trim());
+    }
+
     // Process message with phase-aware AI
     const result = await sessionService.processMessage(id, content.trim());
 
     res.json({
       success: true,
-      data: {
-        message: result.message,
-        phase: result.phase,
-        // Include validation info for debugging (can remove in production)
-        _meta: {
-          validationPassed: result.validationPassed,
-          regenerated: result.regenerated,
-        },
-      },
+      data: formatMessageResult(result),
     });
   }),
 
@@ -108,15 +263,28 @@ export const sessionController = {
       throw Errors.notFound('Session not found');
     }
 
-    // Check if we're in DUMP phase and trying to advance
-    if (session.current_phase === PHASES.DUMP) {
-      // For now, Phase 2+ is not implemented
-      throw Errors.badRequest(
-        'Phase 2 (CLARITY) is not yet implemented. Stay in the dump phase for now.'
-      );
+    assertActive(session);
+
+    const nextPhase = SessionModel.getNextPhase(session.current_phase);
+    if (!nextPhase) {
+      throw Errors.badRequest('Cannot advance from current phase');
+    }
+
+    // Planning needs a committed decision to plan for
+    if (nextPhase === PHASES.PLANNING) {
+      const decision = await sessionService.getSessionDecision(session);
+      if (!decision || decision.outcome !== 'commit') {
+        throw Errors.badRequest(
+          'PLANNING needs a committed decision. Deferred or missing decisions have nothing to plan yet.'
+        );
+      }
+    }
+
+    // Execution supports accepted tasks only
+    if (nextPhase === PHASES.EXECUTION && !session.tasks_accepted_at) {
+      throw Errors.badRequest('Accept the planned tasks before moving to EXECUTION.');
     }
 
-    // Future: Allow advancing to next phases
     const updated = await sessionService.advancePhase(id);
     if (!updated) {
       throw Errors.badRequest('Cannot advance from current phase');
@@ -132,11 +300,154 @@ export const sessionController = {
     });
   }),
 
+  /**
+   * Accept the planned tasks
+   * POST /session/:id/plan/accept
+   * 
+   * Body may carry an edited task list (dropped tasks omitted).
+   * Without a body, the latest proposal is accepted as-is.
+   */
+  acceptPlan: asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { tasks } = req.body;
+
+    const session = await sessionService.getSession(id);
+    if (!session) {
+      throw Errors.notFound('Session not found');
+    }
+
+    assertActive(session);
+
+    if (session.current_phase !== PHASES.PLANNING) {
+      throw Errors.badRequest('Tasks can only be accepted in the PLANNING phase');
+    }
+
+    if (tasks !== undefined) {
+      if (!Array.isArray(tasks) || tasks.length === 0) {
+        throw Errors.validation('tasks must be a non-empty array');
+      }
+      const errors = responseParser.validateTaskList(tasks);
+      if (errors.length > 0) {
+        throw Errors.validation(errors.join(', '));
+      }
+    } else if (!session.proposed_tasks || session.proposed_tasks.length === 0) {
+      throw Errors.badRequest('No tasks have been proposed yet');
+    }
+
+    const created = await sessionService.acceptPlan(id, tasks);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: session.id,
+        decisionId: session.decision_id,
+        tasks: created,
+      },
+    });
+  }),
+
+  /**
+   * Fork session from an earlier message
+   * POST /session/:id/fork
+   * 
+   * The new session copies the history up to and including the message
+   * and starts in the phase that was active then. The original is untouched.
+   */
+  fork: asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { messageId } = req.body;
+
+    if (!messageId || typeof messageId !== 'string') {
+      throw Errors.badRequest('messageId is required');
+    }
+
+    const session = await sessionService.getSession(id);
+    if (!session) {
+      throw Errors.notFound('Session not found');
+    }
+
+    const fork = await sessionService.forkSession(id, messageId);
+    if (!fork) {
+      throw Errors.notFound('Message not found in this session');
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: fork.id,
+        phase: fork.current_phase,
+        state: fork.state,
+        parentSessionId: fork.parent_session_id,
+        forkedFromMessageId: fork.forked_from_message_id,
+        decisionId: fork.decision_id || null,
+        messages: fork.messages,
+        createdAt: fork.created_at,
+      },
+    });
+  }),
+
+  /**
+   * Get a user's sessions
+   * GET /session/user/:userId
+   * 
+   * Optional ?state= filter (active, paused, completed, abandoned)
+   */
+  getByUser: asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { limit = 10, state } = req.query;
+
+    if (state && !Object.values(SESSION_STATES).includes(state)) {
+      throw Errors.validation(`Invalid state. Must be one of: ${Object.values(SESSION_STATES).join(', ')}`);
+    }
+
+    const sessions = await sessionService.getUserSessions(userId, parseInt(limit, 10), state || null);
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        id: session.id,
+        phase: session.current_phase,
+        state: session.state,
+        decisionId: session.decision_id || null,
+        createdAt: session.created_at,
+        updatedAt: session.updated_at,
+      })),
+    });
+  }),
+
   /**
    * Save and stop session (end without advancing)
    * POST /session/:id/stop
+   * 
+   * Kept for existing clients - same as pause.
    */
-  stop: asyncHandler(async (req, res) => {
+  stop: transitionTo(SESSION_STATES.PAUSED, 'Session saved. You can return to it anytime.'),
+
+  /**
+   * Pause session
+   * POST /session/:id/pause
+   */
+  pause: transitionTo(SESSION_STATES.PAUSED, 'Session saved. You can return to it anytime.'),
+
+  /**
+   * Mark session as completed
+   * POST /session/:id/complete
+   */
+  complete: transitionTo(SESSION_STATES.COMPLETED, 'Session completed.'),
+
+  /**
+   * Abandon session
+   * POST /session/:id/abandon
+   */
+  abandon: transitionTo(SESSION_STATES.ABANDONED, 'Session closed.'),
+
+  /**
+   * Resume a paused session
+   * POST /session/:id/resume
+   * 
+   * Adds a short recap message of where the user left off.
+   */
+  resume: asyncHandler(async (req, res) => {
     const { id } = req.params;
 
     const session = await sessionService.getSession(id);
@@ -144,18 +455,20 @@ export const sessionController = {
       throw Errors.notFound('Session not found');
     }
 
-    // For now, we just return the session as-is
-    // Future: Could add a "completed" or "paused" status
+    const result = await sessionService.resumeSession(id);
+    if (!result) {
+      throw Errors.conflict(`Only paused sessions can be resumed (session is ${session.state})`);
+    }
 
     res.json({
       success: true,
       data: {
-        id: session.id,
-        phase: session.current_phase,
-        messageCount: session.messages.length,
-        message: 'Session saved. You can return to it anytime.',
+        id: result.session.id,
+        phase: result.session.current_phase,
+        previousState: session.state,
+        state: result.session.state,
+        recap: result.recap,
       },
     });
   }),
 };
-
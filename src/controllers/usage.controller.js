@@ -0,0 +1,114 @@
+import { usageService } from '../services/usage/usageService.js';
+import { quotaService } from '../services/usage/quotaService.js';
+import { Errors, asyncHandler } from '../middlewares/error.middleware.js';
+
+const DEFAULT_DAILY_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an optional ISO date query parameter
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw Errors.validation(`${name} must be an ISO date (e.g. 2024-05-01)`);
+  }
+  return date;
+}
+
+/**
+ * Parse the from/to range of a request
+ */
+function parseRange(query) {
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+
+  if (from && to && from >= to) {
+    throw Errors.validation('from must be before to');
+  }
+  return { from, to };
+}
+
+/**
+ * Usage controller.
+ * Reports LLM token usage and estimated cost.
+ */
+export const usageController = {
+  /**
+   * GET /usage/user/:userId
+   * Usage of one user, optionally within from/to
+   */
+  getByUser: asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const range = parseRange(req.query);
+
+    const usage = await usageService.getUserUsage(userId, range);
+
+    res.json({
+      success: true,
+      data: { userId, ...range, ...usage },
+    });
+  }),
+
+  /**
+   * GET /usage/user/:userId/quota
+   * Quota limits, usage and reset times for the current day and month
+   */
+  getUserQuota: asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    res.json({
+      success: true,
+      data: await quotaService.getQuotaStatus(userId),
+    });
+  }),
+
+  /**
+   * GET /usage/session/:sessionId
+   * Usage of one session, including its summaries and regenerations
+   */
+  getBySession: asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    const usage = await usageService.getSessionUsage(sessionId);
+
+    res.json({
+      success: true,
+      data: { sessionId, ...usage },
+    });
+  }),
+
+  /**
+   * GET /usage/decision/:decisionId
+   * Usage of one decision and its refinements
+   */
+  getByDecision: asyncHandler(async (req, res) => {
+    const { decisionId } = req.params;
+
+    const usage = await usageService.getDecisionUsage(decisionId);
+
+    res.json({
+      success: true,
+      data: { decisionId, ...usage },
+    });
+  }),
+
+  /**
+   * GET /usage/daily
+   * Usage per UTC day - the last 30 days unless from/to are given
+   */
+  getDaily: asyncHandler(async (req, res) => {
+    const { userId = null } = req.query;
+    const range = parseRange(req.query);
+    const from = range.from || new Date((range.to || new Date()).getTime() - DEFAULT_DAILY_RANGE_DAYS * DAY_MS);
+
+    const days = await usageService.getDailyUsage({ userId, from, to: range.to });
+
+    res.json({
+      success: true,
+      data: { userId, from, to: range.to, days },
+    });
+  }),
+};
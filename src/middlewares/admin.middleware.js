@@ -0,0 +1,25 @@
+/**
+ * Admin authentication middleware.
+ * Admin endpoints need the ADMIN_API_KEY in the X-Admin-Key header
+ * and are disabled when no key is configured.
+ */
+
+import crypto from 'crypto';
+import { env } from '../config/env.js';
+import { Errors } from './error.middleware.js';
+
+export const requireAdmin = (req, res, next) => {
+  if (!env.admin.apiKey) {
+    return next(Errors.forbidden('Admin API is disabled. Set ADMIN_API_KEY to enable it.'));
+  }
+
+  const provided = Buffer.from(req.get('X-Admin-Key') || '');
+  const expected = Buffer.from(env.admin.apiKey);
+
+  // Constant-time comparison - lengths must match first
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return next(Errors.unauthorized('Invalid admin key'));
+  }
+
+  next();
+};
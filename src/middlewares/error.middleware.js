@@ -5,12 +5,16 @@
 
 /**
  * Custom application error class
+ * details: extra structured data returned with the error
+ * headers: response headers to send with the error (e.g. Retry-After)
  */
 export class AppError extends Error {
-  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR') {
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', { details = null, headers = null } = {}) {
     super(message);
     this.statusCode = statusCode;
     this.code = code;
+    this.details = details;
+    this.headers = headers;
     this.isOperational = true;
     
     Error.captureStackTrace(this, this.constructor);
@@ -42,8 +46,11 @@ export const Errors = {
   internal: (message = 'Internal server error') => 
     new AppError(message, 500, 'INTERNAL_ERROR'),
   
-  aiService: (message = 'AI service error') => 
-    new AppError(message, 503, 'AI_SERVICE_ERROR'),
+  aiService: (message = 'AI service error', { details = null } = {}) => 
+    new AppError(message, 503, 'AI_SERVICE_ERROR', { details }),
+
+  quotaExceeded: (message = 'Quota exceeded', { details = null, headers = null } = {}) =>
+    new AppError(message, 429, 'QUOTA_EXCEEDED', { details, headers }),
 };
 
 /**
@@ -77,12 +84,17 @@ export const errorHandler = (err, req, res, next) => {
     code = 'DATABASE_ERROR';
   }
 
+  if (err.headers) {
+    res.set(err.headers);
+  }
+
   // Send response
   res.status(statusCode).json({
     success: false,
     error: {
       code,
       message,
+      ...(err.details && { details: err.details }),
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
     },
   });
@@ -1,17 +1,76 @@
 import { db } from '../config/db.js';
 import { v4 as uuidv4 } from 'uuid';
 
+/**
+ * STATUSES (lifecycle, driven by the answer to the alignment check):
+ * proposed → aligned | challenged | deferred | reversed
+ * challenged → proposed (refined) | aligned | deferred | reversed
+ * aligned → proposed | challenged | deferred | reversed | done
+ * deferred → proposed | aligned | challenged | reversed
+ * reversed, done → terminal
+ * A new current version (refinement, rollback) is a new proposal - one refined
+ * from a challenge stays challenged until the alignment check is answered again.
+ */
+export const DECISION_STATUSES = {
+  PROPOSED: 'proposed',
+  ALIGNED: 'aligned',
+  CHALLENGED: 'challenged',
+  DEFERRED: 'deferred',
+  REVERSED: 'reversed',
+  DONE: 'done',
+};
+
+// A clarification claimed longer ago than this was abandoned mid-generation
+const CLARIFICATION_CLAIM_MS = 5 * 60 * 1000;
+
+// Allowed status transitions - reversed and done are terminal
+const STATUS_TRANSITIONS = {
+  proposed: ['aligned', 'challenged', 'deferred', 'reversed'],
+  challenged: ['proposed', 'aligned', 'deferred', 'reversed'],
+  aligned: ['proposed', 'challenged', 'deferred', 'reversed', 'done'],
+  deferred: ['proposed', 'aligned', 'challenged', 'reversed'],
+  reversed: [],
+  done: [],
+};
+
 export const DecisionModel = {
   tableName: 'decisions',
+  toolCallsTableName: 'decision_tool_calls',
+  versionsTableName: 'decision_versions',
+  outcomesTableName: 'decision_outcomes',
+  clarificationsTableName: 'decision_clarifications',
 
-  async create({ userId, userInput, decision, reasoning, confidenceScore }) {
-    const id = uuidv4();
-    const result = await db.query(
+  async create({
+    id = uuidv4(),
+    userId,
+    userInput,
+    decision,
+    reasoning,
+    confidenceScore,
+    outcome = 'commit',
+    deferUntil = null,
+    sessionId = null,
+    aiProvider = null,
+    aiModel = null,
+    promptId = null,
+    promptVersion = null,
+    experimentId = null,
+    experimentVariant = null,
+    regenerated = false,
+    status = DECISION_STATUSES.PROPOSED,
+  }, client = db) {
+    const result = await client.query(
       `INSERT INTO ${this.tableName} 
-       (id, user_id, user_input, decision, reasoning, confidence_score, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       (id, user_id, user_input, decision, reasoning, confidence_score, outcome, defer_until, session_id,
+        ai_provider, ai_model, prompt_id, prompt_version, experiment_id, experiment_variant, regenerated,
+        status, status_changed_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW(), NOW())
        RETURNING *`,
-      [id, userId, userInput, decision, reasoning, confidenceScore]
+      [
+        id, userId, userInput, decision, reasoning, confidenceScore, outcome, deferUntil, sessionId,
+        aiProvider, aiModel, promptId, promptVersion, experimentId, experimentVariant, regenerated,
+        status,
+      ]
     );
     return result.rows[0];
   },
@@ -24,25 +83,66 @@ export const DecisionModel = {
     return result.rows[0] || null;
   },
 
-  async findByUserId(userId, limit = 10) {
+  async findByUserId(userId, limit = 10, status = null) {
     const result = await db.query(
       `SELECT * FROM ${this.tableName} 
-       WHERE user_id = $1 
+       WHERE user_id = $1 AND ($3::varchar IS NULL OR status = $3)
        ORDER BY created_at DESC 
        LIMIT $2`,
-      [userId, limit]
+      [userId, limit, status]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Check if a status transition is valid
+   */
+  canTransition(fromStatus, toStatus) {
+    return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  },
+
+  /**
+   * Move a decision to a new status
+   * Returns null if the decision is missing or the transition is not allowed
+   */
+  async setStatus(id, toStatus, { deferUntil } = {}) {
+    const decision = await this.findById(id);
+    if (!decision || !this.canTransition(decision.status, toStatus)) return null;
+
+    // Guard on the current status so concurrent transitions cannot conflict
+    const result = await db.query(
+      `UPDATE ${this.tableName} 
+       SET status = $1, status_changed_at = NOW(), defer_until = COALESCE($4, defer_until) 
+       WHERE id = $2 AND status = $3 
+       RETURNING *`,
+      [toStatus, id, decision.status, deferUntil ?? null]
+    );
+    return result.rows[0] || null;
+  },
+
+  async findBySessionId(sessionId) {
+    const result = await db.query(
+      `SELECT * FROM ${this.tableName} 
+       WHERE session_id = $1 
+       ORDER BY created_at DESC`,
+      [sessionId]
     );
     return result.rows;
   },
 
+  /**
+   * Latest decisions with their tasks and recorded outcome (rating, what_happened,
+   * would_decide_again - null when not reviewed)
+   */
   async findRecent(userId, limit = 5) {
     const result = await db.query(
-      `SELECT d.*, 
+      `SELECT d.*, o.rating, o.what_happened, o.would_decide_again,
               json_agg(json_build_object('id', t.id, 'title', t.title, 'priority', t.priority, 'status', t.status)) as tasks
        FROM ${this.tableName} d
        LEFT JOIN tasks t ON t.decision_id = d.id
+       LEFT JOIN ${this.outcomesTableName} o ON o.decision_id = d.id
        WHERE d.user_id = $1
-       GROUP BY d.id
+       GROUP BY d.id, o.id
        ORDER BY d.created_at DESC
        LIMIT $2`,
       [userId, limit]
@@ -79,5 +179,296 @@ export const DecisionModel = {
     );
     return result.rows[0];
   },
-};
 
+  /**
+   * Record the tools the model called while generating a decision
+   * toolCalls: [{ step, tool, arguments, result, error, durationMs }]
+   */
+  async addToolCalls(decisionId, toolCalls, client = db) {
+    const created = [];
+    for (const call of toolCalls) {
+      const result = await client.query(
+        `INSERT INTO ${this.toolCallsTableName}
+         (id, decision_id, step, tool, arguments, result, error, duration_ms, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+         RETURNING *`,
+        [
+          uuidv4(), decisionId, call.step, call.tool, JSON.stringify(call.arguments ?? null),
+          JSON.stringify(call.result ?? null), call.error || null, call.durationMs,
+        ]
+      );
+      created.push(result.rows[0]);
+    }
+    return created;
+  },
+
+  async findToolCalls(decisionId) {
+    const result = await db.query(
+      `SELECT * FROM ${this.toolCallsTableName}
+       WHERE decision_id = $1
+       ORDER BY step ASC, created_at ASC`,
+      [decisionId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Stored versions, oldest first (empty for decisions never refined)
+   */
+  async findVersions(decisionId) {
+    const result = await db.query(
+      `SELECT * FROM ${this.versionsTableName}
+       WHERE decision_id = $1
+       ORDER BY version ASC`,
+      [decisionId]
+    );
+    return result.rows;
+  },
+
+  async findVersion(decisionId, version) {
+    const result = await db.query(
+      `SELECT * FROM ${this.versionsTableName}
+       WHERE decision_id = $1 AND version = $2`,
+      [decisionId, version]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Make a new version current, in one transaction:
+   * - the outgoing version keeps its tasks as they stand now (statuses included);
+   *   a decision never refined before gets its original stored as that version
+   * - the new version is stored, and the decision's fields and tasks replaced with it
+   *
+   * version: { source, feedback, restoredFrom, decision, reasoning, confidenceScore,
+   *            tasks: [{ title, priority, status }], aiProvider, aiModel, promptId, promptVersion,
+   *            status } - status of the decision afterwards, proposed by default
+   * Returns { decision, version, tasks }, or null when the decision does not exist
+   */
+  async addVersion(decisionId, version) {
+    return db.transaction(async (client) => {
+      // Bumping the counter first locks the row against concurrent versions
+      const bumped = await client.query(
+        `UPDATE ${this.tableName} SET current_version = current_version + 1 WHERE id = $1 RETURNING *`,
+        [decisionId]
+      );
+      const previous = bumped.rows[0];
+      if (!previous) return null;
+
+      const outgoingTasks = await client.query(
+        `SELECT title, priority, status FROM tasks WHERE decision_id = $1 ORDER BY priority ASC`,
+        [decisionId]
+      );
+
+      const refreshed = await client.query(
+        `UPDATE ${this.versionsTableName} SET tasks = $3
+         WHERE decision_id = $1 AND version = $2
+         RETURNING id`,
+        [decisionId, previous.current_version - 1, JSON.stringify(outgoingTasks.rows)]
+      );
+      if (refreshed.rows.length === 0) {
+        await client.query(
+          `INSERT INTO ${this.versionsTableName}
+           (id, decision_id, version, source, decision, reasoning, confidence_score, tasks,
+            ai_provider, ai_model, prompt_id, prompt_version, created_at)
+           VALUES ($1, $2, $3, 'generated', $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+          [
+            uuidv4(), decisionId, previous.current_version - 1, previous.decision, previous.reasoning,
+            previous.confidence_score, JSON.stringify(outgoingTasks.rows), previous.ai_provider,
+            previous.ai_model, previous.prompt_id, previous.prompt_version, previous.created_at,
+          ]
+        );
+      }
+
+      const created = await client.query(
+        `INSERT INTO ${this.versionsTableName}
+         (id, decision_id, version, source, feedback, restored_from, decision, reasoning, confidence_score,
+          tasks, ai_provider, ai_model, prompt_id, prompt_version, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
+         RETURNING *`,
+        [
+          uuidv4(), decisionId, previous.current_version, version.source, version.feedback || null,
+          version.restoredFrom || null, version.decision, version.reasoning, version.confidenceScore,
+          JSON.stringify(version.tasks), version.aiProvider || null, version.aiModel || null,
+          version.promptId || null, version.promptVersion || null,
+        ]
+      );
+
+      // A new current version needs a new answer to the alignment check
+      const updated = await client.query(
+        `UPDATE ${this.tableName}
+         SET decision = $2, reasoning = $3, confidence_score = $4,
+             ai_provider = $5, ai_model = $6, prompt_id = $7, prompt_version = $8,
+             status = $9, status_changed_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [
+          decisionId, version.decision, version.reasoning, version.confidenceScore,
+          version.aiProvider || null, version.aiModel || null, version.promptId || null, version.promptVersion || null,
+          version.status || DECISION_STATUSES.PROPOSED,
+        ]
+      );
+
+      await client.query(`DELETE FROM tasks WHERE decision_id = $1`, [decisionId]);
+      const tasks = [];
+      for (const task of version.tasks) {
+        const inserted = await client.query(
+          `INSERT INTO tasks (id, decision_id, title, priority, status, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+           RETURNING *`,
+          [uuidv4(), decisionId, task.title, task.priority, task.status || 'pending']
+        );
+        tasks.push(inserted.rows[0]);
+      }
+
+      return { decision: updated.rows[0], version: created.rows[0], tasks };
+    });
+  },
+  /**
+   * Record how a decision turned out - recording again replaces the outcome
+   */
+  async recordOutcome(decisionId, { rating, whatHappened = null, wouldDecideAgain }) {
+    const result = await db.query(
+      `INSERT INTO ${this.outcomesTableName}
+       (id, decision_id, rating, what_happened, would_decide_again, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+       ON CONFLICT (decision_id) DO UPDATE
+       SET rating = EXCLUDED.rating, what_happened = EXCLUDED.what_happened,
+           would_decide_again = EXCLUDED.would_decide_again, updated_at = NOW()
+       RETURNING *`,
+      [uuidv4(), decisionId, rating, whatHappened, wouldDecideAgain]
+    );
+    return result.rows[0];
+  },
+
+  async findOutcome(decisionId) {
+    const result = await db.query(
+      `SELECT * FROM ${this.outcomesTableName} WHERE decision_id = $1`,
+      [decisionId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * A user's reviewed decisions with their outcome and task counts,
+   * most recently reviewed first
+   */
+  async findReviewedByUserId(userId, limit = null) {
+    const result = await db.query(
+      `SELECT d.id, d.decision, d.confidence_score, d.status, d.created_at,
+              o.rating, o.what_happened, o.would_decide_again, o.updated_at AS reviewed_at,
+              COALESCE(t.task_count, 0) AS task_count, COALESCE(t.completed_count, 0) AS completed_count
+       FROM ${this.outcomesTableName} o
+       JOIN ${this.tableName} d ON d.id = o.decision_id
+       LEFT JOIN (
+         SELECT decision_id, COUNT(*) AS task_count,
+                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) AS completed_count
+         FROM tasks
+         GROUP BY decision_id
+       ) t ON t.decision_id = d.id
+       WHERE d.user_id = $1
+       ORDER BY o.updated_at DESC
+       LIMIT $2`,
+      [userId, limit]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Decisions that were acted on or dropped but have no outcome yet
+   */
+  async countUnreviewedByUserId(userId) {
+    const result = await db.query(
+      `SELECT COUNT(*) AS count
+       FROM ${this.tableName} d
+       LEFT JOIN ${this.outcomesTableName} o ON o.decision_id = d.id
+       WHERE d.user_id = $1 AND o.id IS NULL AND d.status IN ('aligned', 'reversed', 'done')`,
+      [userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  },
+
+  /**
+   * Store a decision waiting for the answer to a clarifying question
+   * Its id is reserved for the decision it will become.
+   */
+  async createClarification({ userId = null, userInput, question, clarityScore = null, promptId = null, promptVersion = null }) {
+    const result = await db.query(
+      `INSERT INTO ${this.clarificationsTableName}
+       (id, user_id, user_input, question, clarity_score, prompt_id, prompt_version, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       RETURNING *`,
+      [uuidv4(), userId, userInput, question, clarityScore, promptId, promptVersion]
+    );
+    return result.rows[0];
+  },
+
+  async findClarification(id) {
+    const result = await db.query(
+      `SELECT * FROM ${this.clarificationsTableName} WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Claim a clarifying question while its decision is generated
+   * Claims older than CLARIFICATION_CLAIM_MS can be taken over.
+   * Returns null if it is already answered or claimed
+   */
+  async claimClarification(id) {
+    const result = await db.query(
+      `UPDATE ${this.clarificationsTableName}
+       SET claimed_at = NOW()
+       WHERE id = $1 AND completed_at IS NULL AND (claimed_at IS NULL OR claimed_at < $2)
+       RETURNING *`,
+      [id, new Date(Date.now() - CLARIFICATION_CLAIM_MS)]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Give up a claim, so the question can be answered again
+   */
+  async releaseClarification(id) {
+    await db.query(
+      `UPDATE ${this.clarificationsTableName}
+       SET claimed_at = NULL
+       WHERE id = $1 AND completed_at IS NULL`,
+      [id]
+    );
+  },
+
+  /**
+   * Record the answer to a clarifying question and store the decision it
+   * becomes (under the same id), with its tasks and tool calls, in one transaction
+   *
+   * decision: the fields of create()
+   * Returns the saved decision, or null if the question was already answered
+   */
+  async completeClarification(id, clarification, decision, { tasks = [], toolCalls = [] } = {}) {
+    return db.transaction(async (client) => {
+      const completed = await client.query(
+        `UPDATE ${this.clarificationsTableName}
+         SET clarification = $2, completed_at = NOW()
+         WHERE id = $1 AND completed_at IS NULL
+         RETURNING *`,
+        [id, clarification]
+      );
+      if (completed.rows.length === 0) return null;
+
+      const saved = await this.create({ ...decision, id }, client);
+
+      for (const task of tasks) {
+        await client.query(
+          `INSERT INTO tasks (id, decision_id, title, priority, status, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, 'pending', NOW(), NOW())`,
+          [uuidv4(), id, task.title, task.priority]
+        );
+      }
+      await this.addToolCalls(id, toolCalls, client);
+
+      return saved;
+    });
+  },
+};
@@ -0,0 +1,62 @@
+import { db } from '../config/db.js';
+
+/**
+ * Experiment Model
+ *
+ * Read-only statistics over the replies and decisions tagged with a prompt
+ * experiment variant (experiment_id / experiment_variant columns).
+ */
+export const ExperimentModel = {
+  /**
+   * Replies per variant - assistant messages and standalone decisions
+   * (session decisions are already counted through their message)
+   */
+  async getResponseStats(experimentId) {
+    const result = await db.query(
+      `SELECT variant,
+       COUNT(*) AS responses,
+       COUNT(DISTINCT user_id) AS users,
+       SUM(CASE WHEN validation_passed THEN 1 ELSE 0 END) AS passed,
+       SUM(CASE WHEN regenerated THEN 1 ELSE 0 END) AS regenerated
+       FROM (
+         SELECT m.experiment_variant AS variant, s.user_id, m.validation_passed, m.regenerated
+         FROM session_messages m
+         JOIN sessions s ON s.id = m.session_id
+         WHERE m.experiment_id = $1
+         UNION ALL
+         SELECT experiment_variant AS variant, user_id, TRUE AS validation_passed, regenerated
+         FROM decisions
+         WHERE experiment_id = $1 AND session_id IS NULL
+       ) responses
+       GROUP BY variant`,
+      [experimentId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Tasks per variant - of the decisions a variant produced
+   * or whose session it took part in
+   */
+  async getTaskStats(experimentId) {
+    const result = await db.query(
+      `SELECT exposed.variant,
+       COUNT(t.id) AS tasks,
+       SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END) AS completed
+       FROM (
+         SELECT experiment_variant AS variant, id AS decision_id
+         FROM decisions
+         WHERE experiment_id = $1
+         UNION
+         SELECT m.experiment_variant AS variant, s.decision_id
+         FROM session_messages m
+         JOIN sessions s ON s.id = m.session_id
+         WHERE m.experiment_id = $1 AND s.decision_id IS NOT NULL
+       ) exposed
+       JOIN tasks t ON t.decision_id = exposed.decision_id
+       GROUP BY exposed.variant`,
+      [experimentId]
+    );
+    return result.rows;
+  },
+};
@@ -0,0 +1,77 @@
+import { db } from '../config/db.js';
+
+// Limit columns shared by plans and overrides
+export const QUOTA_LIMITS = ['daily_requests', 'daily_tokens', 'monthly_requests', 'monthly_tokens'];
+
+// Override value that lifts a limit (NULL falls back to the plan's limit)
+export const UNLIMITED_OVERRIDE = -1;
+
+export const QuotaModel = {
+  tableName: 'quota_plans',
+  overridesTableName: 'user_quota_overrides',
+
+  async findPlan(plan) {
+    const result = await db.query(
+      `SELECT * FROM ${this.tableName} WHERE plan = $1`,
+      [plan]
+    );
+    return result.rows[0] || null;
+  },
+
+  async findAllPlans() {
+    const result = await db.query(
+      `SELECT * FROM ${this.tableName} ORDER BY plan ASC`
+    );
+    return result.rows;
+  },
+
+  /**
+   * Create or replace a plan's limits (NULL = unlimited)
+   */
+  async upsertPlan(plan, limits) {
+    const result = await db.query(
+      `INSERT INTO ${this.tableName}
+       (plan, ${QUOTA_LIMITS.join(', ')}, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+       ON CONFLICT (plan) DO UPDATE SET
+         ${QUOTA_LIMITS.map((column) => `${column} = EXCLUDED.${column}`).join(', ')},
+         updated_at = NOW()
+       RETURNING *`,
+      [plan, ...QUOTA_LIMITS.map((column) => limits[column] ?? null)]
+    );
+    return result.rows[0];
+  },
+
+  async findOverride(userId) {
+    const result = await db.query(
+      `SELECT * FROM ${this.overridesTableName} WHERE user_id = $1`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Create or replace a user's overrides (NULL = use the plan's limit, -1 = unlimited)
+   */
+  async upsertOverride(userId, limits) {
+    const result = await db.query(
+      `INSERT INTO ${this.overridesTableName}
+       (user_id, ${QUOTA_LIMITS.join(', ')}, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+       ON CONFLICT (user_id) DO UPDATE SET
+         ${QUOTA_LIMITS.map((column) => `${column} = EXCLUDED.${column}`).join(', ')},
+         updated_at = NOW()
+       RETURNING *`,
+      [userId, ...QUOTA_LIMITS.map((column) => limits[column] ?? null)]
+    );
+    return result.rows[0];
+  },
+
+  async deleteOverride(userId) {
+    const result = await db.query(
+      `DELETE FROM ${this.overridesTableName} WHERE user_id = $1 RETURNING *`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  },
+};
@@ -0,0 +1,122 @@
+/**
+ * Response Cache Model
+ *
+ * Stores LLM results by cache key until they expire.
+ * Two interchangeable backends share one interface:
+ * - memory: in-process LRU Map, bounded by AI_CACHE_MAX_ENTRIES (default)
+ * - postgres: `llm_response_cache` table, shared across instances
+ * Select with AI_CACHE_STORE.
+ */
+
+import { db } from '../config/db.js';
+import { env } from '../config/env.js';
+
+// ============================================
+// MEMORY STORE
+// ============================================
+
+// Map keeps insertion order - the first key is the least recently used
+const entries = new Map();
+
+const MemoryResponseCache = {
+  async get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+
+    // Mark as most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.result;
+  },
+
+  async set(key, result, ttlSeconds) {
+    entries.delete(key);
+    entries.set(key, { result, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (entries.size > env.cache.maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  },
+
+  /**
+   * Remove expired entries
+   * Returns the number removed
+   */
+  async deleteExpired() {
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  },
+
+  async clearAll() {
+    entries.clear();
+  },
+};
+
+// ============================================
+// POSTGRES STORE
+// ============================================
+
+const PostgresResponseCache = {
+  tableName: 'llm_response_cache',
+
+  async get(key) {
+    const result = await db.query(
+      `UPDATE ${this.tableName} SET hits = hits + 1
+       WHERE cache_key = $1 AND expires_at > NOW()
+       RETURNING result`,
+      [key]
+    );
+    return result.rows[0]?.result || null;
+  },
+
+  async set(key, result, ttlSeconds) {
+    await db.query(
+      `INSERT INTO ${this.tableName} (cache_key, result, hits, created_at, expires_at)
+       VALUES ($1, $2, 0, NOW(), $3)
+       ON CONFLICT (cache_key) DO UPDATE SET
+         result = EXCLUDED.result,
+         hits = 0,
+         created_at = NOW(),
+         expires_at = EXCLUDED.expires_at`,
+      [key, JSON.stringify(result), new Date(Date.now() + ttlSeconds * 1000)]
+    );
+  },
+
+  /**
+   * Remove expired entries
+   * Returns the number removed
+   */
+  async deleteExpired() {
+    const result = await db.query(
+      `DELETE FROM ${this.tableName} WHERE expires_at <= NOW()`
+    );
+    return result.rowCount;
+  },
+
+  async clearAll() {
+    await db.query(`DELETE FROM ${this.tableName}`);
+  },
+};
+
+const CACHE_STORES = {
+  memory: MemoryResponseCache,
+  postgres: PostgresResponseCache,
+};
+
+if (!CACHE_STORES[env.cache.store]) {
+  throw new Error(`Unknown AI_CACHE_STORE "${env.cache.store}". Use one of: ${Object.keys(CACHE_STORES).join(', ')}`);
+}
+
+// Active backend, selected by AI_CACHE_STORE
+export const ResponseCacheModel = CACHE_STORES[env.cache.store];
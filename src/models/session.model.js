@@ -1,38 +1,94 @@
 /**
- * Session Model (In-Memory)
+ * Session Model
  * 
  * Manages conversation sessions with phase tracking.
- * Uses in-memory storage for quick testing - swap to DB later.
+ * Two interchangeable backends share one interface:
+ * - postgres: `sessions` / `session_messages` tables (default)
+ * - memory: in-process Maps, for tests and DB-less development
+ * Select with SESSION_STORE.
  * 
  * PHASES (locked order):
  * 1. DUMP - Mental offload, brainstorming (IMPLEMENTED)
- * 2. CLARITY - Name the problem (FUTURE)
- * 3. DECISION - Commit or defer (FUTURE)
- * 4. PLANNING - Light structure (FUTURE)
- * 5. EXECUTION - Support during action (FUTURE)
+ * 2. CLARITY - Name the problem (IMPLEMENTED)
+ * 3. DECISION - Commit or defer (IMPLEMENTED)
+ * 4. PLANNING - Light structure (IMPLEMENTED)
+ * 5. EXECUTION - Support during action (IMPLEMENTED)
+ * 
+ * STATES (lifecycle, independent of phase):
+ * active → paused | completed | abandoned
+ * paused → active | completed | abandoned
+ * completed, abandoned → terminal
  */
 
 import { randomUUID } from 'crypto';
+import { db } from '../config/db.js';
+import { env } from '../config/env.js';
 
 // Valid phases - order matters, transitions only go forward
 export const PHASES = {
   DUMP: 'DUMP',           // Phase 1: Mental offload
-  CLARITY: 'CLARITY',     // Phase 2: Name the problem (FUTURE)
-  DECISION: 'DECISION',   // Phase 3: Commit or defer (FUTURE)
-  PLANNING: 'PLANNING',   // Phase 4: Light structure (FUTURE)
-  EXECUTION: 'EXECUTION', // Phase 5: Execution support (FUTURE)
+  CLARITY: 'CLARITY',     // Phase 2: Name the problem
+  DECISION: 'DECISION',   // Phase 3: Commit or defer
+  PLANNING: 'PLANNING',   // Phase 4: Light structure
+  EXECUTION: 'EXECUTION', // Phase 5: Execution support
 };
 
 const PHASE_ORDER = ['DUMP', 'CLARITY', 'DECISION', 'PLANNING', 'EXECUTION'];
 
+// Lifecycle states
+export const SESSION_STATES = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  ABANDONED: 'abandoned',
+};
+
+// Allowed state transitions - completed and abandoned are terminal
+const STATE_TRANSITIONS = {
+  active: ['paused', 'completed', 'abandoned'],
+  paused: ['active', 'completed', 'abandoned'],
+  completed: [],
+  abandoned: [],
+};
+
+// Phase and state transition rules shared by both backends
+const phaseTransitions = {
+  /**
+   * Check if a phase transition is valid
+   */
+  canAdvance(currentPhase) {
+    const currentIndex = PHASE_ORDER.indexOf(currentPhase);
+    return currentIndex < PHASE_ORDER.length - 1;
+  },
+
+  /**
+   * Get the phase that follows the given one
+   * Returns null for the final phase
+   */
+  getNextPhase(currentPhase) {
+    const currentIndex = PHASE_ORDER.indexOf(currentPhase);
+    return PHASE_ORDER[currentIndex + 1] || null;
+  },
+
+  /**
+   * Check if a lifecycle state transition is allowed
+   */
+  canTransition(fromState, toState) {
+    return (STATE_TRANSITIONS[fromState] || []).includes(toState);
+  },
+};
+
 // ============================================
 // IN-MEMORY STORAGE
-// Replace with database calls when ready
+// Lost on restart - use for tests only
 // ============================================
 const sessions = new Map();
 const messages = new Map();
+const violations = [];
+
+export const MemorySessionModel = {
+  ...phaseTransitions,
 
-export const SessionModel = {
   /**
    * Create a new session
    * Always starts in DUMP phase
@@ -42,6 +98,15 @@ export const SessionModel = {
       id: randomUUID(),
       user_id: userId,
       current_phase: PHASES.DUMP,
+      state: SESSION_STATES.ACTIVE,
+      state_changed_at: new Date().toISOString(),
+      decision_id: null,
+      proposed_tasks: null,
+      tasks_accepted_at: null,
+      history_summary: null,
+      history_summarized_count: 0,
+      parent_session_id: null,
+      forked_from_message_id: null,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
     };
@@ -66,7 +131,8 @@ export const SessionModel = {
     const session = sessions.get(id);
     if (!session) return null;
 
-    const sessionMessages = messages.get(id) || [];
+    // Copy so later messages do not leak into an already loaded session
+    const sessionMessages = [...(messages.get(id) || [])];
 
     return {
       ...session,
@@ -76,8 +142,20 @@ export const SessionModel = {
 
   /**
    * Add a message to the session
+   * AI replies record the provider/model, prompt version and experiment variant
+   * that produced them, and whether they passed validation
    */
-  async addMessage(sessionId, role, content, phase) {
+  async addMessage(sessionId, role, content, phase, generatedBy = {}) {
+    const {
+      provider = null,
+      model = null,
+      promptId = null,
+      promptVersion = null,
+      experimentId = null,
+      experimentVariant = null,
+      validationPassed = null,
+      regenerated = null,
+    } = generatedBy;
     const session = sessions.get(sessionId);
     if (!session) return null;
 
@@ -87,6 +165,14 @@ export const SessionModel = {
       role,
       content,
       phase,
+      ai_provider: provider,
+      ai_model: model,
+      prompt_id: promptId,
+      prompt_version: promptVersion,
+      experiment_id: experimentId,
+      experiment_variant: experimentVariant,
+      validation_passed: validationPassed,
+      regenerated,
       created_at: new Date().toISOString(),
     };
 
@@ -127,20 +213,195 @@ export const SessionModel = {
   },
 
   /**
-   * Check if a phase transition is valid
+   * Link the decision produced in the DECISION phase
    */
-  canAdvance(currentPhase) {
-    const currentIndex = PHASE_ORDER.indexOf(currentPhase);
-    return currentIndex < PHASE_ORDER.length - 1;
+  async linkDecision(sessionId, decisionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+
+    session.decision_id = decisionId;
+    session.updated_at = new Date().toISOString();
+    sessions.set(sessionId, session);
+
+    return session;
+  },
+
+  /**
+   * Store the latest task proposal from the PLANNING phase
+   */
+  async setProposedTasks(sessionId, tasks) {
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+
+    session.proposed_tasks = tasks;
+    session.updated_at = new Date().toISOString();
+    sessions.set(sessionId, session);
+
+    return session;
+  },
+
+  /**
+   * Mark the proposed tasks as accepted
+   */
+  async markTasksAccepted(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+
+    session.tasks_accepted_at = new Date().toISOString();
+    session.updated_at = new Date().toISOString();
+    sessions.set(sessionId, session);
+
+    return session;
+  },
+
+  /**
+   * Store the rolling summary of folded history
+   * summarizedCount is how many leading messages the summary covers
+   */
+  async setHistorySummary(sessionId, summary, summarizedCount) {
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+
+    session.history_summary = summary;
+    session.history_summarized_count = summarizedCount;
+    session.updated_at = new Date().toISOString();
+    sessions.set(sessionId, session);
+
+    return session;
+  },
+
+  /**
+   * Record phase-rule violations for an assistant message
+   */
+  async addViolations(sessionId, messageId, phase, messageViolations) {
+    const created = messageViolations.map((v) => ({
+      id: randomUUID(),
+      message_id: messageId,
+      session_id: sessionId,
+      phase,
+      rule_id: v.ruleId,
+      severity: v.severity,
+      action: v.action,
+      attempt: v.attempt || 1,
+      detail: v.detail || null,
+      created_at: new Date().toISOString(),
+    }));
+
+    violations.push(...created);
+    return created;
+  },
+
+  /**
+   * Count violations per phase and rule, most frequent first
+   */
+  async getViolationStats({ phase = null } = {}) {
+    const counts = new Map();
+
+    for (const v of violations) {
+      if (phase && v.phase !== phase) continue;
+
+      const key = `${v.phase}:${v.rule_id}`;
+      const entry = counts.get(key) || {
+        phase: v.phase,
+        rule_id: v.rule_id,
+        severity: v.severity,
+        count: 0,
+        messageIds: new Set(),
+      };
+      entry.count++;
+      entry.messageIds.add(v.message_id);
+      counts.set(key, entry);
+    }
+
+    return [...counts.values()]
+      .map(({ messageIds, ...entry }) => ({ ...entry, message_count: messageIds.size }))
+      .sort((a, b) => b.count - a.count);
+  },
+
+  /**
+   * Create a fork from a copy of a session's history
+   * Copied messages get new ids but keep their order and timestamps.
+   */
+  async createFork(parent, {
+    phase,
+    messages: forkMessages,
+    forkedFromMessageId,
+    proposedTasks = null,
+    historySummary = null,
+    historySummarizedCount = 0,
+  }) {
+    const fork = await this.create(parent.user_id);
+
+    Object.assign(fork, {
+      current_phase: phase,
+      proposed_tasks: proposedTasks,
+      history_summary: historySummary,
+      history_summarized_count: historySummarizedCount,
+      parent_session_id: parent.id,
+      forked_from_message_id: forkedFromMessageId,
+    });
+
+    // Experiment tags stay on the originals so metrics count each reply once
+    messages.set(fork.id, forkMessages.map((m) => ({
+      ...m,
+      id: randomUUID(),
+      session_id: fork.id,
+      experiment_id: null,
+      experiment_variant: null,
+    })));
+
+    return fork;
+  },
+
+  /**
+   * Get sessions forked from a session, oldest first
+   */
+  async findForks(sessionId) {
+    return Array.from(sessions.values())
+      .filter((s) => s.parent_session_id === sessionId)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  },
+
+  /**
+   * Move session to a new lifecycle state
+   * Returns null if the session is missing or the transition is not allowed
+   */
+  async setState(sessionId, toState) {
+    const session = sessions.get(sessionId);
+    if (!session || !this.canTransition(session.state, toState)) return null;
+
+    session.state = toState;
+    session.state_changed_at = new Date().toISOString();
+    session.updated_at = new Date().toISOString();
+    sessions.set(sessionId, session);
+
+    return session;
+  },
+
+  /**
+   * Abandon active sessions idle since before the cutoff
+   * Returns the abandoned sessions
+   */
+  async abandonIdle(cutoff) {
+    const abandoned = [];
+    for (const session of sessions.values()) {
+      if (session.state === SESSION_STATES.ACTIVE && new Date(session.updated_at) < cutoff) {
+        session.state = SESSION_STATES.ABANDONED;
+        session.state_changed_at = new Date().toISOString();
+        abandoned.push(session);
+      }
+    }
+    return abandoned;
   },
 
   /**
    * Get recent sessions for a user
+   * Optionally filtered by lifecycle state
    */
-  async findByUser(userId, limit = 10) {
+  async findByUser(userId, limit = 10, state = null) {
     const userSessions = [];
     for (const session of sessions.values()) {
-      if (session.user_id === userId) {
+      if (session.user_id === userId && (!state || session.state === state)) {
         userSessions.push(session);
       }
     }
@@ -155,5 +416,359 @@ export const SessionModel = {
   async clearAll() {
     sessions.clear();
     messages.clear();
+    violations.length = 0;
   },
 };
+
+// ============================================
+// POSTGRES STORAGE
+// Tables from 002_sessions_schema.sql (+ 003-008)
+// ============================================
+export const PostgresSessionModel = {
+  ...phaseTransitions,
+
+  tableName: 'sessions',
+  messagesTableName: 'session_messages',
+  violationsTableName: 'session_message_violations',
+
+  /**
+   * Create a new session
+   * Always starts in DUMP phase
+   */
+  async create(userId = null) {
+    const id = randomUUID();
+    const result = await db.query(
+      `INSERT INTO ${this.tableName} 
+       (id, user_id, current_phase, created_at, updated_at)
+       VALUES ($1, $2, $3, NOW(), NOW())
+       RETURNING *`,
+      [id, userId, PHASES.DUMP]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Get session by ID
+   */
+  async findById(id) {
+    const result = await db.query(
+      `SELECT * FROM ${this.tableName} WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get session with all messages
+   */
+  async findWithMessages(id) {
+    const session = await this.findById(id);
+    if (!session) return null;
+
+    const result = await db.query(
+      `SELECT * FROM ${this.messagesTableName} 
+       WHERE session_id = $1 
+       ORDER BY created_at ASC`,
+      [id]
+    );
+
+    return {
+      ...session,
+      messages: result.rows,
+    };
+  },
+
+  /**
+   * Add a message to the session
+   * Message insert and session timestamp update happen together
+   * AI replies record the provider/model, prompt version and experiment variant
+   * that produced them, and whether they passed validation
+   */
+  async addMessage(sessionId, role, content, phase, generatedBy = {}) {
+    const {
+      provider = null,
+      model = null,
+      promptId = null,
+      promptVersion = null,
+      experimentId = null,
+      experimentVariant = null,
+      validationPassed = null,
+      regenerated = null,
+    } = generatedBy;
+    return db.transaction(async (client) => {
+      const touched = await client.query(
+        `UPDATE ${this.tableName} SET updated_at = NOW() WHERE id = $1 RETURNING id`,
+        [sessionId]
+      );
+      if (touched.rows.length === 0) return null;
+
+      const result = await client.query(
+        `INSERT INTO ${this.messagesTableName} 
+         (id, session_id, role, content, phase, ai_provider, ai_model, prompt_id, prompt_version,
+          experiment_id, experiment_variant, validation_passed, regenerated, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+         RETURNING *`,
+        [
+          randomUUID(), sessionId, role, content, phase, provider, model, promptId, promptVersion,
+          experimentId, experimentVariant, validationPassed, regenerated,
+        ]
+      );
+      return result.rows[0];
+    });
+  },
+
+  /**
+   * Advance session to next phase
+   * Only allows forward transitions, never backward
+   * Returns null if transition is not allowed
+   */
+  async advancePhase(sessionId) {
+    const session = await this.findById(sessionId);
+    if (!session) return null;
+
+    const nextPhase = this.getNextPhase(session.current_phase);
+    if (!nextPhase) return null;
+
+    // Guard on the current phase so concurrent advances cannot skip a phase
+    const result = await db.query(
+      `UPDATE ${this.tableName} 
+       SET current_phase = $1, updated_at = NOW() 
+       WHERE id = $2 AND current_phase = $3 
+       RETURNING *`,
+      [nextPhase, sessionId, session.current_phase]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Link the decision produced in the DECISION phase
+   */
+  async linkDecision(sessionId, decisionId) {
+    return this.update(sessionId, { decision_id: decisionId });
+  },
+
+  /**
+   * Store the latest task proposal from the PLANNING phase
+   */
+  async setProposedTasks(sessionId, tasks) {
+    return this.update(sessionId, { proposed_tasks: JSON.stringify(tasks) });
+  },
+
+  /**
+   * Mark the proposed tasks as accepted
+   */
+  async markTasksAccepted(sessionId) {
+    const result = await db.query(
+      `UPDATE ${this.tableName} 
+       SET tasks_accepted_at = NOW(), updated_at = NOW() 
+       WHERE id = $1 
+       RETURNING *`,
+      [sessionId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Store the rolling summary of folded history
+   * summarizedCount is how many leading messages the summary covers
+   */
+  async setHistorySummary(sessionId, summary, summarizedCount) {
+    return this.update(sessionId, {
+      history_summary: summary,
+      history_summarized_count: summarizedCount,
+    });
+  },
+
+  /**
+   * Record phase-rule violations for an assistant message
+   */
+  async addViolations(sessionId, messageId, phase, messageViolations) {
+    const created = [];
+    for (const v of messageViolations) {
+      const result = await db.query(
+        `INSERT INTO ${this.violationsTableName} 
+         (id, message_id, session_id, phase, rule_id, severity, action, attempt, detail, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+         RETURNING *`,
+        [
+          randomUUID(), messageId, sessionId, phase, v.ruleId,
+          v.severity, v.action, v.attempt || 1, JSON.stringify(v.detail || null),
+        ]
+      );
+      created.push(result.rows[0]);
+    }
+    return created;
+  },
+
+  /**
+   * Count violations per phase and rule, most frequent first
+   */
+  async getViolationStats({ phase = null } = {}) {
+    const result = await db.query(
+      `SELECT phase, rule_id, severity,
+              COUNT(*)::int AS count,
+              COUNT(DISTINCT message_id)::int AS message_count
+       FROM ${this.violationsTableName}
+       WHERE ($1::varchar IS NULL OR phase = $1)
+       GROUP BY phase, rule_id, severity
+       ORDER BY count DESC`,
+      [phase]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Create a fork from a copy of a session's history
+   * Copied messages get new ids but keep their order and timestamps.
+   */
+  async createFork(parent, {
+    phase,
+    messages: forkMessages,
+    forkedFromMessageId,
+    proposedTasks = null,
+    historySummary = null,
+    historySummarizedCount = 0,
+  }) {
+    return db.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO ${this.tableName} 
+         (id, user_id, current_phase, proposed_tasks, history_summary, history_summarized_count,
+          parent_session_id, forked_from_message_id, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+         RETURNING *`,
+        [
+          randomUUID(),
+          parent.user_id,
+          phase,
+          proposedTasks ? JSON.stringify(proposedTasks) : null,
+          historySummary,
+          historySummarizedCount,
+          parent.id,
+          forkedFromMessageId,
+        ]
+      );
+      const fork = result.rows[0];
+
+      // Experiment tags stay on the originals so metrics count each reply once
+      for (const message of forkMessages) {
+        await client.query(
+          `INSERT INTO ${this.messagesTableName} 
+           (id, session_id, role, content, phase, ai_provider, ai_model, prompt_id, prompt_version, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+          [
+            randomUUID(), fork.id, message.role, message.content, message.phase,
+            message.ai_provider || null, message.ai_model || null,
+            message.prompt_id || null, message.prompt_version || null, message.created_at,
+          ]
+        );
+      }
+
+      return fork;
+    });
+  },
+
+  /**
+   * Get sessions forked from a session, oldest first
+   */
+  async findForks(sessionId) {
+    const result = await db.query(
+      `SELECT * FROM ${this.tableName} 
+       WHERE parent_session_id = $1 
+       ORDER BY created_at ASC`,
+      [sessionId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Move session to a new lifecycle state
+   * Returns null if the session is missing or the transition is not allowed
+   */
+  async setState(sessionId, toState) {
+    const session = await this.findById(sessionId);
+    if (!session || !this.canTransition(session.state, toState)) return null;
+
+    // Guard on the current state so concurrent transitions cannot conflict
+    const result = await db.query(
+      `UPDATE ${this.tableName} 
+       SET state = $1, state_changed_at = NOW(), updated_at = NOW() 
+       WHERE id = $2 AND state = $3 
+       RETURNING *`,
+      [toState, sessionId, session.state]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Abandon active sessions idle since before the cutoff
+   * Returns the abandoned sessions
+   */
+  async abandonIdle(cutoff) {
+    const result = await db.query(
+      `UPDATE ${this.tableName} 
+       SET state = $1, state_changed_at = NOW() 
+       WHERE state = $2 AND updated_at < $3 
+       RETURNING *`,
+      [SESSION_STATES.ABANDONED, SESSION_STATES.ACTIVE, cutoff]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Get recent sessions for a user
+   * Optionally filtered by lifecycle state
+   */
+  async findByUser(userId, limit = 10, state = null) {
+    const result = await db.query(
+      `SELECT * FROM ${this.tableName} 
+       WHERE user_id = $1 AND ($3::varchar IS NULL OR state = $3) 
+       ORDER BY updated_at DESC 
+       LIMIT $2`,
+      [userId, limit, state]
+    );
+    return result.rows;
+  },
+
+  async update(id, data) {
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(data)) {
+      if (value !== undefined && key !== 'id') {
+        fields.push(`${key} = $${paramIndex}`);
+        values.push(value);
+        paramIndex++;
+      }
+    }
+
+    fields.push(`updated_at = NOW()`);
+    values.push(id);
+
+    const result = await db.query(
+      `UPDATE ${this.tableName} SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Clear all sessions (for testing)
+   * Messages are removed by ON DELETE CASCADE
+   */
+  async clearAll() {
+    await db.query(`DELETE FROM ${this.tableName}`);
+  },
+};
+
+const SESSION_STORES = {
+  memory: MemorySessionModel,
+  postgres: PostgresSessionModel,
+};
+
+if (!SESSION_STORES[env.sessions.store]) {
+  throw new Error(`Unknown SESSION_STORE "${env.sessions.store}". Use one of: ${Object.keys(SESSION_STORES).join(', ')}`);
+}
+
+// Active backend, selected by SESSION_STORE
+export const SessionModel = SESSION_STORES[env.sessions.store];
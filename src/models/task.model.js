@@ -43,17 +43,31 @@ export const TaskModel = {
     return result.rows;
   },
 
+  /**
+   * Pending tasks of the user's aligned decisions - tasks become active
+   * once their decision is aligned
+   */
   async findPendingByUserId(userId) {
     const result = await db.query(
       `SELECT t.* FROM ${this.tableName} t
        JOIN decisions d ON d.id = t.decision_id
-       WHERE d.user_id = $1 AND t.status = 'pending'
+       WHERE d.user_id = $1 AND d.status = 'aligned' AND t.status = 'pending'
        ORDER BY t.priority ASC`,
       [userId]
     );
     return result.rows;
   },
 
+  async countCompletedByUserId(userId, since) {
+    const result = await db.query(
+      `SELECT COUNT(*) AS completed FROM ${this.tableName} t
+       JOIN decisions d ON d.id = t.decision_id
+       WHERE d.user_id = $1 AND t.status = 'completed' AND t.updated_at >= $2`,
+      [userId, since]
+    );
+    return Number(result.rows[0].completed);
+  },
+
   async updateStatus(id, status) {
     const result = await db.query(
       `UPDATE ${this.tableName} 
@@ -0,0 +1,141 @@
+import { db } from '../config/db.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Columns usage can be grouped by - never interpolate anything else
+const GROUP_COLUMNS = {
+  model: ['provider', 'model'],
+  purpose: ['purpose'],
+  phase: ['phase'],
+  day: ["to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD')"],
+};
+
+const AGGREGATES = `COUNT(*) AS calls,
+       COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+       COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+       COALESCE(SUM(cost_usd), 0) AS cost_usd,
+       SUM(CASE WHEN attempt > 1 THEN 1 ELSE 0 END) AS regenerations,
+       SUM(CASE WHEN cost_usd IS NULL THEN 1 ELSE 0 END) AS unpriced_calls,
+       SUM(CASE WHEN estimated THEN 1 ELSE 0 END) AS estimated_calls,
+       SUM(CASE WHEN cached THEN 1 ELSE 0 END) AS cached_calls`;
+
+/**
+ * Build the WHERE clause for a usage filter
+ * filter: { userId, sessionId, decisionId, from, to }
+ */
+function buildWhere({ userId, sessionId, decisionId, from, to } = {}) {
+  const conditions = [];
+  const values = [];
+
+  const add = (condition, value) => {
+    values.push(value);
+    conditions.push(condition.replace('?', `$${values.length}`));
+  };
+
+  if (userId) add('user_id = ?', userId);
+  if (sessionId) add('session_id = ?', sessionId);
+  if (decisionId) add('decision_id = ?', decisionId);
+  if (from) add('created_at >= ?', from);
+  if (to) add('created_at < ?', to);
+
+  return {
+    clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    values,
+  };
+}
+
+export const UsageModel = {
+  tableName: 'llm_usage',
+
+  async create({
+    userId = null,
+    sessionId = null,
+    decisionId = null,
+    purpose,
+    phase = null,
+    provider = null,
+    model = null,
+    promptTokens = 0,
+    completionTokens = 0,
+    estimated = false,
+    cached = false,
+    costUsd = null,
+    attempt = 1,
+  }) {
+    const id = uuidv4();
+    const result = await db.query(
+      `INSERT INTO ${this.tableName}
+       (id, user_id, session_id, decision_id, purpose, phase, provider, model,
+        prompt_tokens, completion_tokens, estimated, cached, cost_usd, attempt, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
+       RETURNING *`,
+      [
+        id, userId, sessionId, decisionId, purpose, phase, provider, model,
+        promptTokens, completionTokens, estimated, cached, costUsd, attempt,
+      ]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Totals for every call matching the filter
+   */
+  async summarize(filter) {
+    const { clause, values } = buildWhere(filter);
+    const result = await db.query(
+      `SELECT ${AGGREGATES}
+       FROM ${this.tableName}
+       ${clause}`,
+      values
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Totals per group ('model' | 'purpose' | 'phase' | 'day')
+   * Days are UTC calendar days, oldest first; other groups costliest first
+   */
+  async summarizeBy(filter, groupBy) {
+    const columns = GROUP_COLUMNS[groupBy];
+    if (!columns) {
+      throw new Error(`Unknown usage grouping "${groupBy}"`);
+    }
+
+    const { clause, values } = buildWhere(filter);
+    const selected = groupBy === 'day' ? `${columns[0]} AS day` : columns.join(', ');
+    const order = groupBy === 'day' ? 'day ASC' : 'cost_usd DESC, calls DESC';
+
+    const result = await db.query(
+      `SELECT ${selected},
+       ${AGGREGATES}
+       FROM ${this.tableName}
+       ${clause}
+       GROUP BY ${columns.join(', ')}
+       ORDER BY ${order}`,
+      values
+    );
+    return result.rows;
+  },
+
+  /**
+   * Requests and tokens a user used since the start of the day and month
+   * Requests count first attempts of `requestPurposes` only; tokens count every call
+   */
+  async countForUser(userId, { dayStart, monthStart, requestPurposes }) {
+    const result = await db.query(
+      `SELECT
+       COALESCE(SUM(CASE WHEN created_at >= $2 AND is_request THEN 1 ELSE 0 END), 0) AS daily_requests,
+       COALESCE(SUM(CASE WHEN created_at >= $2 THEN tokens ELSE 0 END), 0) AS daily_tokens,
+       COALESCE(SUM(CASE WHEN is_request THEN 1 ELSE 0 END), 0) AS monthly_requests,
+       COALESCE(SUM(tokens), 0) AS monthly_tokens
+       FROM (
+         SELECT created_at,
+                prompt_tokens + completion_tokens AS tokens,
+                (attempt = 1 AND purpose = ANY($4)) AS is_request
+         FROM ${this.tableName}
+         WHERE user_id = $1 AND created_at >= $3
+       ) calls`,
+      [userId, dayStart, monthStart, requestPurposes]
+    );
+    return result.rows[0];
+  },
+};
@@ -0,0 +1,443 @@
+import { Router } from 'express';
+import { adminController } from '../controllers/admin.controller.js';
+import { requireAdmin } from '../middlewares/admin.middleware.js';
+
+const router = Router();
+
+// Every admin endpoint needs X-Admin-Key
+router.use(requireAdmin);
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     AdminKey:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Admin-Key
+ *   schemas:
+ *     QuotaLimits:
+ *       type: object
+ *       properties:
+ *         dailyRequests:
+ *           type: integer
+ *           nullable: true
+ *           example: 100
+ *         dailyTokens:
+ *           type: integer
+ *           nullable: true
+ *           example: 200000
+ *         monthlyRequests:
+ *           type: integer
+ *           nullable: true
+ *           example: 1500
+ *         monthlyTokens:
+ *           type: integer
+ *           nullable: true
+ *           example: 3000000
+ *     QuotaStatus:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *           format: uuid
+ *         plan:
+ *           type: string
+ *           example: free
+ *         limits:
+ *           $ref: '#/components/schemas/QuotaLimits'
+ *         overrides:
+ *           allOf:
+ *             - $ref: '#/components/schemas/QuotaLimits'
+ *           nullable: true
+ *           description: Per-user overrides - null uses the plan's limit, -1 is unlimited
+ *         windows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               window:
+ *                 type: string
+ *                 enum: [daily, monthly]
+ *               metric:
+ *                 type: string
+ *                 enum: [requests, tokens]
+ *               limit:
+ *                 type: integer
+ *                 nullable: true
+ *               used:
+ *                 type: integer
+ *               remaining:
+ *                 type: integer
+ *                 nullable: true
+ *               resetAt:
+ *                 type: string
+ *                 format: date-time
+ *     PromptExperiment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: dump-warmth
+ *         prompt:
+ *           type: string
+ *           description: Registry prompt under test
+ *           example: phase-dump
+ *         enabled:
+ *           type: boolean
+ *         variants:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: warmer
+ *               version:
+ *                 type: integer
+ *                 example: 2
+ *               weight:
+ *                 type: number
+ *                 example: 1
+ *     ExperimentAssignment:
+ *       type: object
+ *       nullable: true
+ *       description: Prompt experiment variant the user is bucketed into (null when none)
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: dump-warmth
+ *         variant:
+ *           type: string
+ *           example: warmer
+ *     PromptVersion:
+ *       type: object
+ *       description: Registry prompt that produced a record (prompts/<id>/v<version>.txt)
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: decision-system
+ *         version:
+ *           type: integer
+ *           example: 1
+ */
+
+/**
+ * @swagger
+ * /admin/quotas/plans:
+ *   get:
+ *     summary: List quota plans
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKey: []
+ *     responses:
+ *       200:
+ *         description: Plans and their limits (null = unlimited)
+ *       401:
+ *         description: Invalid admin key
+ *       403:
+ *         description: Admin API disabled (ADMIN_API_KEY not set)
+ */
+router.get('/quotas/plans', adminController.listPlans);
+
+/**
+ * @swagger
+ * /admin/quotas/plans/{plan}:
+ *   put:
+ *     summary: Create or replace a quota plan
+ *     description: Omitted or null limits are unlimited.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: plan
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: pro
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuotaLimits'
+ *     responses:
+ *       200:
+ *         description: Plan saved
+ *       422:
+ *         description: Invalid plan name or limits
+ */
+router.put('/quotas/plans/:plan', adminController.updatePlan);
+
+/**
+ * @swagger
+ * /admin/quotas/users/{userId}:
+ *   get:
+ *     summary: Get a user's quota
+ *     description: Effective limits, overrides and usage in the current UTC day and month.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Quota status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/QuotaStatus'
+ *       404:
+ *         description: User not found
+ *   put:
+ *     summary: Set a user's plan and quota overrides
+ *     description: |
+ *       Overrides are replaced when any limit is given; null uses the plan's limit
+ *       and -1 grants unlimited use whatever the plan allows.
+ *       Give only `plan` to move the user without touching overrides.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   plan:
+ *                     type: string
+ *                     example: pro
+ *               - $ref: '#/components/schemas/QuotaLimits'
+ *     responses:
+ *       200:
+ *         description: Updated quota status
+ *       404:
+ *         description: User not found
+ *       422:
+ *         description: Unknown plan or invalid limits
+ *   delete:
+ *     summary: Remove a user's quota overrides
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Quota status with the plan's limits
+ *       404:
+ *         description: User has no overrides
+ */
+router.get('/quotas/users/:userId', adminController.getUserQuota);
+router.put('/quotas/users/:userId', adminController.updateUserQuota);
+router.delete('/quotas/users/:userId', adminController.deleteUserQuota);
+
+/**
+ * @swagger
+ * /admin/prompts:
+ *   get:
+ *     summary: List prompts and their active versions
+ *     description: |
+ *       The latest version of each prompt is active unless PROMPT_VERSIONS pins another.
+ *       Decisions and assistant messages record the prompt id and version that produced them.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKey: []
+ *     responses:
+ *       200:
+ *         description: Prompts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         example: phase-dump
+ *                       activeVersion:
+ *                         type: integer
+ *                         example: 2
+ *                       pinned:
+ *                         type: boolean
+ *                         description: Active version set by PROMPT_VERSIONS
+ *                       versions:
+ *                         type: array
+ *                         items:
+ *                           type: integer
+ *                         example: [1, 2]
+ */
+router.get('/prompts', adminController.listPrompts);
+
+/**
+ * @swagger
+ * /admin/prompts/{promptId}:
+ *   get:
+ *     summary: Get the text of a prompt version
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: promptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: phase-dump
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Defaults to the active version
+ *     responses:
+ *       200:
+ *         description: Prompt version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/PromptVersion'
+ *                     - type: object
+ *                       properties:
+ *                         content:
+ *                           type: string
+ *                         active:
+ *                           type: boolean
+ *       404:
+ *         description: Unknown prompt or version
+ */
+router.get('/prompts/:promptId', adminController.getPrompt);
+
+/**
+ * @swagger
+ * /admin/experiments:
+ *   get:
+ *     summary: List prompt experiments
+ *     description: |
+ *       Experiments come from PROMPT_EXPERIMENTS_FILE. Users are bucketed into a variant
+ *       by hashing the experiment id with their userId, so their variant never changes.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKey: []
+ *     responses:
+ *       200:
+ *         description: Experiments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PromptExperiment'
+ */
+router.get('/experiments', adminController.listExperiments);
+
+/**
+ * @swagger
+ * /admin/experiments/{experimentId}:
+ *   get:
+ *     summary: Get per-variant metrics of a prompt experiment
+ *     description: |
+ *       Rates are null until a variant has data.
+ *       - validationPassRate: replies whose final attempt passed the phase rules / schema
+ *       - regenerationRate: replies that needed a regeneration or repair
+ *       - taskCompletionRate: completed share of the tasks of decisions the variant produced or took part in
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: experimentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experiment with metrics per variant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/PromptExperiment'
+ *                     - type: object
+ *                       properties:
+ *                         variants:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               variant:
+ *                                 type: string
+ *                               version:
+ *                                 type: integer
+ *                               weight:
+ *                                 type: number
+ *                               users:
+ *                                 type: integer
+ *                               responses:
+ *                                 type: integer
+ *                               validationPassRate:
+ *                                 type: number
+ *                                 nullable: true
+ *                                 example: 0.94
+ *                               regenerationRate:
+ *                                 type: number
+ *                                 nullable: true
+ *                                 example: 0.08
+ *                               tasks:
+ *                                 type: integer
+ *                               taskCompletionRate:
+ *                                 type: number
+ *                                 nullable: true
+ *                                 example: 0.61
+ *       404:
+ *         description: Unknown experiment
+ */
+router.get('/experiments/:experimentId', adminController.getExperimentMetrics);
+
+export default router;
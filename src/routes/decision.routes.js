@@ -7,6 +7,139 @@ const router = Router();
  * @swagger
  * components:
  *   schemas:
+ *     VersionTask:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *         priority:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [pending, in_progress, completed, skipped]
+ *     DecisionVersion:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: integer
+ *           example: 2
+ *         current:
+ *           type: boolean
+ *         source:
+ *           type: string
+ *           enum: [generated, refinement, rollback]
+ *         feedback:
+ *           type: string
+ *           nullable: true
+ *           description: Feedback behind a refinement
+ *         restoredFrom:
+ *           type: integer
+ *           nullable: true
+ *           description: Version a rollback restored
+ *         decision:
+ *           type: string
+ *         reasoning:
+ *           type: string
+ *         confidence:
+ *           type: number
+ *           nullable: true
+ *         tasks:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/VersionTask'
+ *         generatedBy:
+ *           type: object
+ *           properties:
+ *             provider:
+ *               type: string
+ *             model:
+ *               type: string
+ *             prompt:
+ *               $ref: '#/components/schemas/PromptVersion'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     DecisionStatus:
+ *       type: string
+ *       enum: [proposed, aligned, challenged, deferred, reversed, done]
+ *       description: |
+ *         Lifecycle, driven by the answer to the alignment check. New decisions and
+ *         new versions are proposed; only aligned decisions have active tasks.
+ *         Reversed and done are final.
+ *       example: proposed
+ *     PendingDecision:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Pending decision ID - the decision keeps it once clarified
+ *         status:
+ *           type: string
+ *           enum: [needs_clarification]
+ *         question:
+ *           type: string
+ *           example: Which of the three projects has a deadline this week?
+ *         clarity:
+ *           type: number
+ *           description: Input clarity score (0-1) that triggered the check
+ *           example: 0.3
+ *     DecisionOutcome:
+ *       type: object
+ *       properties:
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           example: 4
+ *         whatHappened:
+ *           type: string
+ *           nullable: true
+ *           example: Shipped the report on time, the launch slipped a week without harm
+ *         wouldDecideAgain:
+ *           type: boolean
+ *           example: true
+ *         recordedAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     OutcomeSummary:
+ *       type: object
+ *       properties:
+ *         decisions:
+ *           type: integer
+ *           description: Reviewed decisions in the group
+ *         averageRating:
+ *           type: number
+ *           nullable: true
+ *           example: 3.5
+ *         wouldDecideAgainRate:
+ *           type: number
+ *           nullable: true
+ *           example: 0.75
+ *         taskCompletionRate:
+ *           type: number
+ *           nullable: true
+ *           description: Completed share of the group's tasks
+ *           example: 0.6
+ *     DecisionToolCall:
+ *       type: object
+ *       properties:
+ *         step:
+ *           type: integer
+ *           example: 1
+ *         tool:
+ *           type: string
+ *           enum: [list_pending_tasks, get_decision, count_completed_tasks]
+ *         arguments:
+ *           type: object
+ *           example: { "days": 7 }
+ *         error:
+ *           type: string
+ *           nullable: true
+ *           description: Why the call was rejected or failed
  *     Task:
  *       type: object
  *       properties:
@@ -38,6 +171,31 @@ const router = Router();
  *           format: float
  *           description: Confidence score between 0 and 1
  *           example: 0.82
+ *         generatedBy:
+ *           type: object
+ *           description: Provider and model that answered (may be a fallback) and the prompt version used
+ *           properties:
+ *             provider:
+ *               type: string
+ *               example: groq
+ *             model:
+ *               type: string
+ *               example: llama-3.3-70b-versatile
+ *             prompt:
+ *               $ref: '#/components/schemas/PromptVersion'
+ *             experiment:
+ *               $ref: '#/components/schemas/ExperimentAssignment'
+ *         cached:
+ *           type: boolean
+ *           description: Answered from the response cache (AI_CACHE_ENABLED)
+ *           example: false
+ *         status:
+ *           $ref: '#/components/schemas/DecisionStatus'
+ *         toolCalls:
+ *           type: array
+ *           description: Read-only tools the model called before deciding (only with a userId)
+ *           items:
+ *             $ref: '#/components/schemas/DecisionToolCall'
  *         id:
  *           type: string
  *           format: uuid
@@ -55,6 +213,14 @@ const router = Router();
  *       - Brief reasoning (ending with alignment question)
  *       - Prioritized tasks (max 5)
  *       - Confidence score
+ *
+ *       With a userId the model may first look at the user's own data through
+ *       read-only tools (pending tasks, past decisions, completed task counts).
+ *
+ *       Input that scores low on clarity is first checked by the model. When it is
+ *       too vague to decide on, no decision is generated: the response is `202` with
+ *       status `needs_clarification`, one targeted question and a pending decision id.
+ *       Answer it with POST /decision/{id}/clarify.
  *     tags: [Decision]
  *     requestBody:
  *       required: true
@@ -86,6 +252,18 @@ const router = Router();
  *                   example: true
  *                 data:
  *                   $ref: '#/components/schemas/DecisionResponse'
+ *       202:
+ *         description: The input needs clarification first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PendingDecision'
  *       422:
  *         description: Validation error
  *         content:
@@ -104,14 +282,87 @@ const router = Router();
  *                       example: VALIDATION_ERROR
  *                     message:
  *                       type: string
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ *       503:
+ *         description: |
+ *           AI_SERVICE_ERROR - the provider is unavailable, or its reply still broke the
+ *           decision schema after the repair attempts (`error.details.errors`)
  */
 router.post('/', decisionController.create);
 
+/**
+ * @swagger
+ * /decision/{id}/clarify:
+ *   post:
+ *     summary: Answer the clarifying question of a pending decision
+ *     description: |
+ *       Generates the decision from the original input and the answer. The decision
+ *       keeps the pending decision id and is saved together with the answer. Each
+ *       question can be answered once; if generation fails it stays open.
+ *     tags: [Decision]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The pending decision ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - clarification
+ *             properties:
+ *               clarification:
+ *                 type: string
+ *                 description: The answer to the question
+ *                 example: The client project - it is due Friday and the others can slip
+ *     responses:
+ *       201:
+ *         description: Decision generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/DecisionResponse'
+ *                     - type: object
+ *                       properties:
+ *                         clarification:
+ *                           type: object
+ *                           properties:
+ *                             question:
+ *                               type: string
+ *                             answer:
+ *                               type: string
+ *       404:
+ *         description: Pending decision not found
+ *       409:
+ *         description: The question was already answered, or another answer is being processed
+ *       422:
+ *         description: Missing or invalid clarification
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ *       503:
+ *         description: AI_SERVICE_ERROR - the provider is unavailable or kept breaking the schema
+ */
+router.post('/:id/clarify', decisionController.clarify);
+
 /**
  * @swagger
  * /decision/{id}:
  *   get:
  *     summary: Get a specific decision by ID
+ *     description: A pending decision returns its status (needs_clarification) and question.
  *     tags: [Decision]
  *     parameters:
  *       - in: path
@@ -158,6 +409,11 @@ router.get('/:id', decisionController.getById);
  *           type: integer
  *           default: 10
  *         description: Maximum number of decisions to return
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           $ref: '#/components/schemas/DecisionStatus'
+ *         description: Only decisions with this status
  *     responses:
  *       200:
  *         description: List of decisions
@@ -172,14 +428,120 @@ router.get('/:id', decisionController.getById);
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/DecisionResponse'
+ *       422:
+ *         description: Invalid status
  */
 router.get('/user/:userId', decisionController.getByUserId);
 
+/**
+ * @swagger
+ * /decision/user/{userId}/retrospective:
+ *   get:
+ *     summary: Compare a user's decision outcomes with confidence and task completion
+ *     description: |
+ *       Covers the decisions with a recorded outcome. Figures are given overall, per
+ *       confidence level (as in the confidence score) and per share of completed tasks.
+ *       `calibrationGap` is the average confidence minus the rating on the same 0-1
+ *       scale - positive when decisions turned out worse than their confidence promised.
+ *     tags: [Decision]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Retrospective
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                       format: uuid
+ *                     unreviewed:
+ *                       type: integer
+ *                       description: Aligned, reversed or done decisions without an outcome
+ *                     overall:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/OutcomeSummary'
+ *                         - type: object
+ *                           properties:
+ *                             averageConfidence:
+ *                               type: number
+ *                               nullable: true
+ *                             calibrationGap:
+ *                               type: number
+ *                               nullable: true
+ *                               example: 0.12
+ *                     byConfidence:
+ *                       type: object
+ *                       description: Keyed by high, medium, low, very_low
+ *                       additionalProperties:
+ *                         $ref: '#/components/schemas/OutcomeSummary'
+ *                     byTaskCompletion:
+ *                       type: object
+ *                       description: Keyed by all, some, none, no_tasks
+ *                       additionalProperties:
+ *                         $ref: '#/components/schemas/OutcomeSummary'
+ *                     misses:
+ *                       type: array
+ *                       description: IDs of high or medium confidence decisions rated 2 or less
+ *                       items:
+ *                         type: string
+ *                         format: uuid
+ *                     surprises:
+ *                       type: array
+ *                       description: IDs of low confidence decisions rated 4 or more
+ *                       items:
+ *                         type: string
+ *                         format: uuid
+ *                     decisions:
+ *                       type: array
+ *                       description: Reviewed decisions, most recently reviewed first (max 20)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             format: uuid
+ *                           decision:
+ *                             type: string
+ *                           status:
+ *                             $ref: '#/components/schemas/DecisionStatus'
+ *                           confidence:
+ *                             type: number
+ *                           confidenceLevel:
+ *                             type: string
+ *                           tasks:
+ *                             type: integer
+ *                           completedTasks:
+ *                             type: integer
+ *                           taskCompletion:
+ *                             type: string
+ *                             enum: [all, some, none, no_tasks]
+ *                           outcome:
+ *                             $ref: '#/components/schemas/DecisionOutcome'
+ */
+router.get('/user/:userId/retrospective', decisionController.getRetrospective);
+
 /**
  * @swagger
  * /decision/{id}/refine:
  *   post:
  *     summary: Refine an existing decision based on feedback
+ *     description: |
+ *       The refinement is saved as a new version of the decision (with the feedback,
+ *       tasks and confidence) and becomes current; the decision's tasks are replaced.
+ *       Earlier versions stay available under /decision/{id}/versions.
  *     tags: [Decision]
  *     parameters:
  *       - in: path
@@ -220,9 +582,395 @@ router.get('/user/:userId', decisionController.getByUserId);
  *                         refinedFrom:
  *                           type: string
  *                           format: uuid
+ *                         version:
+ *                           type: integer
+ *                           description: Version number of the refinement
+ *                           example: 2
  *       404:
  *         description: Original decision not found
+ *       409:
+ *         description: The decision is reversed or done
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
  */
 router.post('/:id/refine', decisionController.refine);
 
+/**
+ * @swagger
+ * /decision/{id}/alignment:
+ *   post:
+ *     summary: Answer the alignment check of a decision
+ *     description: |
+ *       Answers "Are we aligned, or should we challenge this before moving on?"
+ *       - aligned: the decision's tasks become active (check-ins, pending task lists)
+ *       - challenged: the decision is refined with the feedback; the refinement is a
+ *         new version, saved as challenged until the check is answered again. If the
+ *         refinement fails (quota, AI service) the status is unchanged.
+ *       - deferred: the decision is parked, optionally until deferUntil
+ *
+ *       Repeating the current answer is a no-op (a repeated challenge refines again).
+ *     tags: [Decision]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - answer
+ *             properties:
+ *               answer:
+ *                 type: string
+ *                 enum: [aligned, challenged, deferred]
+ *               feedback:
+ *                 type: string
+ *                 description: Why the decision is challenged (required for challenged)
+ *                 example: The report matters more than the launch this week
+ *               deferUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Only with deferred
+ *     responses:
+ *       200:
+ *         description: The new status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     previousStatus:
+ *                       $ref: '#/components/schemas/DecisionStatus'
+ *                     status:
+ *                       $ref: '#/components/schemas/DecisionStatus'
+ *                     tasks:
+ *                       type: array
+ *                       description: The activated tasks (aligned)
+ *                       items:
+ *                         $ref: '#/components/schemas/VersionTask'
+ *                     refinement:
+ *                       description: The refined decision (challenged)
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/DecisionResponse'
+ *                     deferUntil:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                       description: (deferred)
+ *       404:
+ *         description: Decision not found
+ *       409:
+ *         description: The decision is reversed or done
+ *       422:
+ *         description: Invalid answer, missing feedback or invalid deferUntil
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ */
+router.post('/:id/alignment', decisionController.respondToAlignment);
+
+/**
+ * @swagger
+ * /decision/{id}/reverse:
+ *   post:
+ *     summary: Reverse a decision
+ *     description: The decision is dropped and its tasks are no longer active. Final.
+ *     tags: [Decision]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Decision reversed
+ *       404:
+ *         description: Decision not found
+ *       409:
+ *         description: The decision is done
+ */
+router.post('/:id/reverse', decisionController.reverse);
+
+/**
+ * @swagger
+ * /decision/{id}/complete:
+ *   post:
+ *     summary: Mark an aligned decision as done
+ *     tags: [Decision]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Decision done
+ *       404:
+ *         description: Decision not found
+ *       409:
+ *         description: The decision is not aligned
+ */
+router.post('/:id/complete', decisionController.complete);
+
+/**
+ * @swagger
+ * /decision/{id}/outcome:
+ *   post:
+ *     summary: Record how a decision turned out
+ *     description: |
+ *       Possible once the alignment check is answered (aligned, deferred, reversed or
+ *       done). Recording again replaces the outcome. Outcomes feed the user's
+ *       retrospective and the context of their future decisions.
+ *     tags: [Decision]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *               - wouldDecideAgain
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               whatHappened:
+ *                 type: string
+ *                 maxLength: 2000
+ *               wouldDecideAgain:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The recorded outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     status:
+ *                       $ref: '#/components/schemas/DecisionStatus'
+ *                     confidence:
+ *                       type: number
+ *                       nullable: true
+ *                     outcome:
+ *                       $ref: '#/components/schemas/DecisionOutcome'
+ *       404:
+ *         description: Decision not found
+ *       409:
+ *         description: The decision is proposed or challenged
+ *       422:
+ *         description: Invalid rating, wouldDecideAgain or whatHappened
+ */
+router.post('/:id/outcome', decisionController.recordOutcome);
+
+/**
+ * @swagger
+ * /decision/{id}/versions:
+ *   get:
+ *     summary: List every version of a decision
+ *     description: |
+ *       Oldest first. A decision that was never refined has a single version.
+ *       The current version shows the live tasks; earlier versions keep their
+ *       tasks as they stood when they were replaced.
+ *     tags: [Decision]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DecisionVersion'
+ *       404:
+ *         description: Decision not found
+ */
+router.get('/:id/versions', decisionController.listVersions);
+
+/**
+ * @swagger
+ * /decision/{id}/versions/diff:
+ *   get:
+ *     summary: Compare two versions of a decision
+ *     description: Tasks are matched by title (ignoring case and spacing).
+ *     tags: [Decision]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: Defaults to the version before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Defaults to the current version
+ *     responses:
+ *       200:
+ *         description: Differences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: integer
+ *                     to:
+ *                       type: integer
+ *                     changes:
+ *                       type: object
+ *                       description: Changed fields (decision, reasoning, confidence) as { from, to }
+ *                       example: { "decision": { "from": "Focus on the launch", "to": "Finish the report first" } }
+ *                     tasks:
+ *                       type: object
+ *                       properties:
+ *                         added:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/VersionTask'
+ *                         removed:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/VersionTask'
+ *                         changed:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               title:
+ *                                 type: string
+ *                               from:
+ *                                 type: object
+ *                               to:
+ *                                 type: object
+ *       404:
+ *         description: Decision or version not found
+ *       422:
+ *         description: Invalid version numbers, or the decision has a single version
+ */
+router.get('/:id/versions/diff', decisionController.diffVersions);
+
+/**
+ * @swagger
+ * /decision/{id}/versions/{version}:
+ *   get:
+ *     summary: Get one version of a decision
+ *     tags: [Decision]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DecisionVersion'
+ *       404:
+ *         description: Decision or version not found
+ */
+router.get('/:id/versions/:version', decisionController.getVersion);
+
+/**
+ * @swagger
+ * /decision/{id}/versions/{version}/rollback:
+ *   post:
+ *     summary: Roll a decision back to an earlier version
+ *     description: |
+ *       Restores the version's decision, reasoning, confidence and task set (statuses
+ *       included). The rollback is stored as a new version, so history is kept.
+ *     tags: [Decision]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The decision with its restored tasks
+ *       404:
+ *         description: Decision or version not found
+ *       409:
+ *         description: The version is already current, or the decision is reversed or done
+ */
+router.post('/:id/versions/:version/rollback', decisionController.rollback);
+
 export default router;
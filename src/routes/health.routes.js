@@ -53,11 +53,52 @@ router.get('/', healthController.getHealth);
  *                       properties:
  *                         status:
  *                           type: string
- *                     openai:
+ *                     ai:
  *                       type: object
  *                       properties:
  *                         status:
  *                           type: string
+ *                         provider:
+ *                           type: string
+ *                         model:
+ *                           type: string
+ *                         cached:
+ *                           type: boolean
+ *                           description: Ping answered from the response cache
+ *                         chain:
+ *                           type: array
+ *                           description: Providers in fallback order
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               provider:
+ *                                 type: string
+ *                               model:
+ *                                 type: string
+ *                     aiCircuit:
+ *                       type: object
+ *                       properties:
+ *                         status:
+ *                           type: string
+ *                           enum: [ok, open]
+ *                         breakers:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               name:
+ *                                 type: string
+ *                               state:
+ *                                 type: string
+ *                                 enum: [closed, open, half_open]
+ *                               consecutiveFailures:
+ *                                 type: integer
+ *                               openedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               retryAt:
+ *                                 type: string
+ *                                 format: date-time
  *       503:
  *         description: One or more dependencies are unhealthy
  */
@@ -3,8 +3,7 @@
  * 
  * API endpoints for the thinking-phase engine.
  * 
- * Current Implementation: Phase 1 (DUMP)
- * Future: Phases 2-5
+ * Phases: DUMP → CLARITY → DECISION → PLANNING → EXECUTION
  */
 
 import { Router } from 'express';
@@ -25,6 +24,23 @@ const router = Router();
  *         phase:
  *           type: string
  *           enum: [DUMP, CLARITY, DECISION, PLANNING, EXECUTION]
+ *         state:
+ *           type: string
+ *           enum: [active, paused, completed, abandoned]
+ *         decisionId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Decision recorded in the DECISION phase
+ *         proposedTasks:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             $ref: '#/components/schemas/Task'
+ *         tasksAcceptedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         messages:
  *           type: array
  *           items:
@@ -89,14 +105,63 @@ const router = Router();
  *                       type: string
  *                     createdAt:
  *                       type: string
+ *       404:
+ *         description: User not found
  */
 router.post('/', sessionController.create);
 
+/**
+ * @swagger
+ * /session/violations/stats:
+ *   get:
+ *     summary: Phase-rule violation statistics
+ *     description: |
+ *       Counts recorded rule violations per phase and rule, most frequent first.
+ *       Includes violations from attempts that were regenerated.
+ *     tags: [Session]
+ *     parameters:
+ *       - in: query
+ *         name: phase
+ *         schema:
+ *           type: string
+ *           enum: [DUMP, CLARITY, DECISION, PLANNING, EXECUTION]
+ *     responses:
+ *       200:
+ *         description: Violation counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       phase:
+ *                         type: string
+ *                       rule_id:
+ *                         type: string
+ *                       severity:
+ *                         type: string
+ *                         enum: [error, warning]
+ *                       count:
+ *                         type: integer
+ *                       message_count:
+ *                         type: integer
+ */
+router.get('/violations/stats', sessionController.getViolationStats);
+
 /**
  * @swagger
  * /session/{id}:
  *   get:
  *     summary: Get session with messages
+ *     description: |
+ *       Includes the session's lineage - the parent it was forked from,
+ *       its ancestors (root first) and the sessions forked from it.
  *     tags: [Session]
  *     parameters:
  *       - in: path
@@ -126,6 +191,35 @@ router.get('/:id', sessionController.get);
  *       - Reflect emotions and themes
  *       - Normalize confusion
  *       - NOT ask questions or give advice
+ *       
+ *       In CLARITY phase, the AI will:
+ *       - Name the core problem in one sentence
+ *       - Ask at most one focused question
+ *       - NOT give advice or suggest next steps
+ *       
+ *       In DECISION phase, the AI will:
+ *       - Propose ONE outcome: commit to X, or defer until Y because Z
+ *       - Store the outcome as a decision linked to the session
+ *       - Return it as `data.decision`
+ *       
+ *       In PLANNING phase, the AI will:
+ *       - Propose 1-5 tasks serving the committed decision
+ *       - Revise the list when you edit or drop tasks
+ *       - Return it as `data.proposedTasks`
+ *       
+ *       In EXECUTION phase, the AI will:
+ *       - Update task status from updates like "I did the first one"
+ *       - Give short, calm support for the next step
+ *       - Return `data.taskUpdates` and the current `data.tasks`
+ *       
+ *       Streaming: send `Accept: text/event-stream` to receive Server-Sent Events:
+ *       - `token` — `{ content, attempt }` as the reply is generated
+ *       - `retry` — the reply failed phase validation; discard streamed text,
+ *         tokens for the regenerated reply follow
+ *       - `done` — same payload as the JSON `data`, with the saved message and `_meta`
+ *       - `error` — `{ code, message }`; the stream ends
+ *       
+ *       Structured phases (DECISION, PLANNING, EXECUTION) emit only `done`/`error`.
  *     tags: [Session]
  *     parameters:
  *       - in: path
@@ -148,7 +242,12 @@ router.get('/:id', sessionController.get);
  *                 description: Your thoughts, feelings, brain dump
  *     responses:
  *       200:
- *         description: AI response
+ *         description: AI response (JSON, or an event stream when requested)
+ *         content:
+ *           application/json: {}
+ *           text/event-stream: {}
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
  */
 router.post('/:id/message', sessionController.sendMessage);
 
@@ -159,8 +258,9 @@ router.post('/:id/message', sessionController.sendMessage);
  *     summary: Advance to next phase
  *     description: |
  *       Move to the next thinking phase.
- *       Currently only DUMP phase is implemented.
- *       Phase 2+ coming soon.
+ *       Order: DUMP → CLARITY → DECISION → PLANNING → EXECUTION.
+ *       PLANNING requires a committed (not deferred) decision.
+ *       EXECUTION requires accepted tasks.
  *     tags: [Session]
  *     parameters:
  *       - in: path
@@ -173,16 +273,125 @@ router.post('/:id/message', sessionController.sendMessage);
  *       200:
  *         description: Phase advanced
  *       400:
- *         description: Cannot advance (not implemented or final phase)
+ *         description: Cannot advance (final phase or prerequisites missing)
  */
 router.post('/:id/advance', sessionController.advancePhase);
 
+/**
+ * @swagger
+ * /session/{id}/plan/accept:
+ *   post:
+ *     summary: Accept the planned tasks
+ *     description: |
+ *       Writes the tasks to the decision made in this session.
+ *       Send an edited list to change or drop tasks; omit it to accept
+ *       the latest proposal as-is. Accepting again replaces the tasks.
+ *     tags: [Session]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tasks:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   $ref: '#/components/schemas/Task'
+ *     responses:
+ *       201:
+ *         description: Tasks created
+ *       400:
+ *         description: Not in PLANNING phase or nothing proposed
+ *       422:
+ *         description: Invalid task list
+ */
+router.post('/:id/plan/accept', sessionController.acceptPlan);
+
+/**
+ * @swagger
+ * /session/{id}/fork:
+ *   post:
+ *     summary: Fork session from an earlier message
+ *     description: |
+ *       Creates a new session with the history up to and including the
+ *       given message, in the phase that was active then. The original
+ *       session stays as it is. Forks from PLANNING or later get their own
+ *       copy of the decision (and tasks, in EXECUTION).
+ *     tags: [Session]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - messageId
+ *             properties:
+ *               messageId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Forked session with its copied messages
+ *       400:
+ *         description: Missing messageId
+ *       404:
+ *         description: Session or message not found
+ */
+router.post('/:id/fork', sessionController.fork);
+
+/**
+ * @swagger
+ * /session/user/{userId}:
+ *   get:
+ *     summary: Get a user's sessions
+ *     tags: [Session]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [active, paused, completed, abandoned]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Sessions, most recently updated first
+ */
+router.get('/user/:userId', sessionController.getByUser);
+
 /**
  * @swagger
  * /session/{id}/stop:
  *   post:
  *     summary: Save and stop session
- *     description: End the session without advancing to next phase
+ *     description: |
+ *       End the session without advancing to next phase.
+ *       Same as /pause - kept for existing clients.
  *     tags: [Session]
  *     parameters:
  *       - in: path
@@ -193,9 +402,101 @@ router.post('/:id/advance', sessionController.advancePhase);
  *           format: uuid
  *     responses:
  *       200:
- *         description: Session saved
+ *         description: Session paused
+ *       409:
+ *         description: Session is completed or abandoned
  */
 router.post('/:id/stop', sessionController.stop);
 
+/**
+ * @swagger
+ * /session/{id}/pause:
+ *   post:
+ *     summary: Pause session
+ *     description: |
+ *       Lifecycle: active → paused | completed | abandoned,
+ *       paused → active | completed | abandoned. Completed and abandoned are final.
+ *       Messages and phase changes require an active session.
+ *     tags: [Session]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session paused
+ *       409:
+ *         description: Transition not allowed
+ */
+router.post('/:id/pause', sessionController.pause);
+
+/**
+ * @swagger
+ * /session/{id}/resume:
+ *   post:
+ *     summary: Resume a paused session
+ *     description: Reactivates the session and adds a short recap message of where you left off.
+ *     tags: [Session]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session resumed with recap
+ *       409:
+ *         description: Session is not paused
+ */
+router.post('/:id/resume', sessionController.resume);
+
+/**
+ * @swagger
+ * /session/{id}/complete:
+ *   post:
+ *     summary: Mark session as completed
+ *     tags: [Session]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session completed
+ *       409:
+ *         description: Transition not allowed
+ */
+router.post('/:id/complete', sessionController.complete);
+
+/**
+ * @swagger
+ * /session/{id}/abandon:
+ *   post:
+ *     summary: Abandon session
+ *     description: Active sessions idle past SESSION_IDLE_TIMEOUT_HOURS are abandoned automatically.
+ *     tags: [Session]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session abandoned
+ *       409:
+ *         description: Transition not allowed
+ */
+router.post('/:id/abandon', sessionController.abandon);
+
 export default router;
 
@@ -0,0 +1,307 @@
+import { Router } from 'express';
+import { usageController } from '../controllers/usage.controller.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UsageTotals:
+ *       type: object
+ *       properties:
+ *         calls:
+ *           type: integer
+ *           description: LLM calls, regenerated attempts included
+ *           example: 14
+ *         promptTokens:
+ *           type: integer
+ *           example: 18250
+ *         completionTokens:
+ *           type: integer
+ *           example: 2310
+ *         totalTokens:
+ *           type: integer
+ *           example: 20560
+ *         costUsd:
+ *           type: number
+ *           description: Estimated cost from the price table
+ *           example: 0.012593
+ *         regenerations:
+ *           type: integer
+ *           description: Retry calls - phase-rule regenerations and decision schema repairs
+ *           example: 2
+ *         unpricedCalls:
+ *           type: integer
+ *           description: Calls whose model has no price (not in costUsd)
+ *           example: 0
+ *         estimatedCalls:
+ *           type: integer
+ *           description: Calls whose tokens were estimated locally
+ *           example: 1
+ *         cachedCalls:
+ *           type: integer
+ *           description: Calls answered from the response cache (no tokens billed)
+ *           example: 3
+ *     UsageReport:
+ *       type: object
+ *       properties:
+ *         totals:
+ *           $ref: '#/components/schemas/UsageTotals'
+ *         byModel:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   provider:
+ *                     type: string
+ *                   model:
+ *                     type: string
+ *               - $ref: '#/components/schemas/UsageTotals'
+ *         byPurpose:
+ *           type: array
+ *           description: phase_response, history_summary, phase_summary, decision, clarity_check, tool_step, refinement
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   purpose:
+ *                     type: string
+ *               - $ref: '#/components/schemas/UsageTotals'
+ *   responses:
+ *     QuotaExceeded:
+ *       description: The user's daily or monthly AI quota is used up
+ *       headers:
+ *         Retry-After:
+ *           description: Seconds until the quota resets
+ *           schema:
+ *             type: integer
+ *         X-Quota-Reset:
+ *           description: Reset time of the exhausted window (Unix seconds)
+ *           schema:
+ *             type: integer
+ *         X-Quota-Window:
+ *           description: Exhausted window, e.g. daily-requests or monthly-tokens
+ *           schema:
+ *             type: string
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               success:
+ *                 type: boolean
+ *                 example: false
+ *               error:
+ *                 type: object
+ *                 properties:
+ *                   code:
+ *                     type: string
+ *                     example: QUOTA_EXCEEDED
+ *                   message:
+ *                     type: string
+ *                   details:
+ *                     type: object
+ *                     properties:
+ *                       plan:
+ *                         type: string
+ *                       exceeded:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ */
+
+/**
+ * @swagger
+ * /usage/user/{userId}:
+ *   get:
+ *     summary: Get LLM usage and cost for a user
+ *     tags: [Usage]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Usage totals with per-model and per-purpose breakdowns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/UsageReport'
+ *       400:
+ *         description: Invalid date range
+ */
+router.get('/user/:userId', usageController.getByUser);
+
+/**
+ * @swagger
+ * /usage/user/{userId}/quota:
+ *   get:
+ *     summary: Get a user's quota and remaining allowance
+ *     description: |
+ *       Daily and monthly limits (UTC) in requests and tokens, from the user's plan
+ *       and any overrides. A null limit is unlimited.
+ *     tags: [Usage]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Quota status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/QuotaStatus'
+ */
+router.get('/user/:userId/quota', usageController.getUserQuota);
+
+/**
+ * @swagger
+ * /usage/session/{sessionId}:
+ *   get:
+ *     summary: Get LLM usage and cost for a session
+ *     description: Includes history summaries and regenerated attempts, broken down per phase.
+ *     tags: [Usage]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Usage totals with per-model, per-purpose and per-phase breakdowns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/UsageReport'
+ *                     - type: object
+ *                       properties:
+ *                         byPhase:
+ *                           type: array
+ *                           items:
+ *                             allOf:
+ *                               - type: object
+ *                                 properties:
+ *                                   phase:
+ *                                     type: string
+ *                               - $ref: '#/components/schemas/UsageTotals'
+ */
+router.get('/session/:sessionId', usageController.getBySession);
+
+/**
+ * @swagger
+ * /usage/decision/{decisionId}:
+ *   get:
+ *     summary: Get LLM usage and cost for a decision
+ *     tags: [Usage]
+ *     parameters:
+ *       - in: path
+ *         name: decisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Usage of the decision and its refinements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/UsageReport'
+ */
+router.get('/decision/:decisionId', usageController.getByDecision);
+
+/**
+ * @swagger
+ * /usage/daily:
+ *   get:
+ *     summary: Get LLM usage and cost per day
+ *     description: UTC calendar days, oldest first. Defaults to the last 30 days.
+ *     tags: [Usage]
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only this user's usage
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Usage per day
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - type: object
+ *                             properties:
+ *                               date:
+ *                                 type: string
+ *                                 example: '2024-05-01'
+ *                           - $ref: '#/components/schemas/UsageTotals'
+ *       400:
+ *         description: Invalid date range
+ */
+router.get('/daily', usageController.getDaily);
+
+export default router;
@@ -1,6 +1,8 @@
 import { createApp } from './app.js';
 import { env } from './config/env.js';
 import { db } from './config/db.js';
+import { sessionService } from './services/session/sessionService.js';
+import { pruneResponseCache } from './services/ai/responseCache.js';
 
 /**
  * Server entry point.
@@ -12,7 +14,7 @@ const PORT = env.port;
 
 // AI provider info
 const aiProvider = env.ai.provider 
-  ? `${env.ai.provider} (${env.ai.model})` 
+  ? `${env.ai.provider} (${env.ai.model})${env.aiChain.length > 1 ? ` +${env.aiChain.length - 1} fallback` : ''}` 
   : 'NOT CONFIGURED';
 
 // Start server
@@ -35,12 +37,43 @@ const server = app.listen(PORT, () => {
   `);
 });
 
+// ======================
+// IDLE SESSION SWEEP
+// ======================
+
+const idleSweep = env.sessions.idleTimeoutHours > 0
+  ? setInterval(() => {
+      sessionService.abandonIdleSessions().catch((error) => {
+        console.error('Idle session sweep failed:', error.message);
+      });
+    }, env.sessions.idleSweepMinutes * 60000)
+  : null;
+
+// ======================
+// RESPONSE CACHE SWEEP
+// ======================
+
+const cacheSweep = env.cache.enabled
+  ? setInterval(() => {
+      pruneResponseCache().catch((error) => {
+        console.error('Response cache sweep failed:', error.message);
+      });
+    }, env.cache.sweepMinutes * 60000)
+  : null;
+
 // ======================
 // GRACEFUL SHUTDOWN
 // ======================
 
 const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
+
+  if (idleSweep) {
+    clearInterval(idleSweep);
+  }
+  if (cacheSweep) {
+    clearInterval(cacheSweep);
+  }
   
   // Stop accepting new connections
   server.close(async () => {
@@ -1,6 +1,46 @@
-import { openai, openaiConfig } from '../../config/openai.js';
+import { getProvider } from './providers/index.js';
+import { AppError, Errors } from '../../middlewares/error.middleware.js';
 import { promptBuilder } from './promptBuilder.js';
-import { responseParser } from './responseParser.js';
+import { responseParser, InvalidResponseError } from './responseParser.js';
+import { usageService } from '../usage/usageService.js';
+import { decisionTools } from './decisionTools.js';
+import { env } from '../../config/env.js';
+import { calculateInputClarity } from '../../utils/confidenceScore.js';
+
+// Generation settings for decision calls
+const DECISION_CONFIG = {
+  maxTokens: 2048,
+  temperature: 0.7,
+  // Re-prompts with the validation errors before giving up
+  maxRepairAttempts: 2,
+};
+
+// Longest raw reply kept in repair logs
+const MAX_LOGGED_RESPONSE_CHARS = 2000;
+
+// Usage purpose of the calls that only asked for tools - they cost tokens, not requests
+const TOOL_STEP_PURPOSE = 'tool_step';
+
+// Usage purpose of the ambiguity check before a decision - tokens, not a request
+const CLARITY_CHECK_PURPOSE = 'clarity_check';
+
+// The check answers yes or no and at most one short question
+const CLARITY_CHECK_CONFIG = {
+  maxTokens: 200,
+  temperature: 0,
+};
+
+/**
+ * Response cache check from a parser - only replies it accepts are cached
+ */
+const parsesWith = (parse) => (content) => {
+  try {
+    parse(content);
+    return true;
+  } catch {
+    return false;
+  }
+};
 
 /**
  * Core AI decision engine.
@@ -10,81 +50,264 @@ export const decisionEngine = {
   /**
    * Generates a decision from user input
    */
-  async generateDecision({ userInput, context = null }) {
-    const messages = promptBuilder.buildDecisionPrompt({ userInput, context });
+  async generateDecision({ userInput, context = null, userId = null }) {
+    const messages = promptBuilder.buildDecisionPrompt({ userInput, context, userId });
     
-    const response = await this.callOpenAI(messages);
-    const parsed = responseParser.parseDecisionResponse(response);
-    
-    return {
-      ...parsed,
-      raw: response,
-    };
+    return this.generateValidated(messages, promptBuilder.getSystemPromptVersion(userId), {
+      toolUserId: env.tools.enabled ? userId : null,
+    });
   },
 
   /**
    * Refines an existing decision based on user feedback
+   * userId: owner of the decision, picks their prompt experiment variant
    */
-  async refineDecision({ originalDecision, feedback }) {
+  async refineDecision({ originalDecision, feedback, userId = null }) {
     const messages = promptBuilder.buildRefinementPrompt({
       originalDecision,
       feedback,
+      userId,
     });
     
-    const response = await this.callOpenAI(messages);
-    const parsed = responseParser.parseDecisionResponse(response);
-    
-    return {
-      ...parsed,
-      raw: response,
-    };
+    return this.generateValidated(messages, promptBuilder.getSystemPromptVersion(userId));
+  },
+
+  /**
+   * Checks whether input is clear enough to decide on.
+   * Inputs scoring at least AI_CLARIFY_THRESHOLD on input clarity skip the
+   * model; for the others the model decides, and asks one targeted question
+   * when needed. Fails open - a failed or invalid check lets the decision go ahead.
+   *
+   * Returns { needsClarification, question, clarity, prompt, calls }
+   */
+  async checkClarity({ userInput, context = null, userId = null }) {
+    const clarity = calculateInputClarity(userInput);
+    const result = { needsClarification: false, question: null, clarity, prompt: null, calls: [] };
+
+    if (!env.clarify.enabled || clarity >= env.clarify.threshold) {
+      return result;
+    }
+
+    const messages = promptBuilder.buildClarityCheckPrompt({ userInput, context, userId });
+    const { id, version } = promptBuilder.getClarityPromptVersion(userId);
+    result.prompt = { id, version };
+
+    let reply;
+    try {
+      reply = await this.callProvider(messages, {
+        ...CLARITY_CHECK_CONFIG,
+        validate: parsesWith(responseParser.parseClarityCheck),
+      });
+    } catch (error) {
+      console.warn('[CLARITY CHECK] skipped, provider unavailable:', error.message);
+      return result;
+    }
+    result.calls.push({
+      attempt: 1,
+      provider: reply.provider,
+      model: reply.model,
+      usage: reply.usage,
+      purpose: CLARITY_CHECK_PURPOSE,
+    });
+
+    try {
+      return { ...result, ...responseParser.parseClarityCheck(reply.content) };
+    } catch (error) {
+      if (!(error instanceof InvalidResponseError)) throw error;
+
+      console.warn(`[CLARITY CHECK] invalid reply (${reply.provider}/${reply.model}), skipped:`, {
+        errors: error.errors,
+        raw: reply.content.slice(0, MAX_LOGGED_RESPONSE_CHARS),
+      });
+      return result;
+    }
   },
 
   /**
-   * Handles clarification requests
+   * Generates the decision for input the user clarified
+   * question: the question they answered
    */
-  async handleClarification({ originalInput, clarification }) {
+  async handleClarification({ originalInput, clarification, question, context = null, userId = null }) {
     const messages = promptBuilder.buildClarificationPrompt({
       originalInput,
       clarification,
+      question,
+      context,
+      userId,
     });
     
-    const response = await this.callOpenAI(messages);
-    const parsed = responseParser.parseDecisionResponse(response);
-    
-    return {
-      ...parsed,
-      raw: response,
-    };
+    return this.generateValidated(messages, promptBuilder.getSystemPromptVersion(userId), {
+      toolUserId: env.tools.enabled ? userId : null,
+    });
+  },
+
+  /**
+   * Calls the model and validates its reply against the decision schema.
+   * Invalid replies are sent back with the exact validation errors, up to
+   * maxRepairAttempts times, before failing with AI_SERVICE_ERROR.
+   *
+   * systemPrompt: { id, version, experiment } of the prompt the messages use
+   * toolUserId: lets the first attempt call the read-only tools for this user
+   *
+   * Returns the parsed decision with the final call's provider/model/usage,
+   * `calls` - { attempt, provider, model, usage, purpose? } for every call made -
+   * and `toolCalls` - every tool invocation (see runToolLoop)
+   */
+  async generateValidated(messages, systemPrompt, { toolUserId = null } = {}) {
+    const maxAttempts = 1 + DECISION_CONFIG.maxRepairAttempts;
+    const calls = [];
+    const toolCalls = [];
+    let conversation = messages;
+    let lastErrors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const reply = attempt === 1 && toolUserId
+        ? await this.runToolLoop(conversation, { userId: toolUserId, calls, toolCalls })
+        : {
+          ...(await this.callProvider(conversation, { validate: parsesWith(responseParser.parseDecisionResponse) })),
+          messages: conversation,
+        };
+      const { content, provider, model, usage, cached } = reply;
+      calls.push({ attempt, provider, model, usage });
+
+      try {
+        const parsed = responseParser.parseDecisionResponse(content);
+
+        return {
+          ...parsed,
+          raw: content,
+          provider,
+          model,
+          usage,
+          cached,
+          prompt: { id: systemPrompt.id, version: systemPrompt.version },
+          experiment: systemPrompt.experiment,
+          repaired: attempt > 1,
+          calls,
+          toolCalls,
+        };
+      } catch (error) {
+        if (!(error instanceof InvalidResponseError)) throw error;
+
+        // Raw replies are logged so schema failures can be analysed later
+        lastErrors = error.errors;
+        console.warn(`[DECISION REPAIR] attempt ${attempt}/${maxAttempts} (${provider}/${model}):`, {
+          errors: error.errors,
+          raw: content.slice(0, MAX_LOGGED_RESPONSE_CHARS),
+        });
+
+        // Repairs keep the tool turns, so the model still sees what it looked up
+        conversation = promptBuilder.buildRepairPrompt(reply.messages, content, error.errors);
+      }
+    }
+
+    console.error(`[DECISION REPAIR] giving up after ${maxAttempts} attempts`);
+    throw Errors.aiService(
+      `AI returned an invalid decision after ${maxAttempts} attempts: ${lastErrors.join('; ')}`,
+      { details: { attempts: maxAttempts, errors: lastErrors } }
+    );
+  },
+
+  /**
+   * Lets the model call the read-only decision tools for up to
+   * AI_TOOLS_MAX_STEPS rounds; the round after that offers no tools, so the
+   * model has to answer. Tool results go back as tool turns.
+   *
+   * Tool-only calls are pushed to `calls` (purpose tool_step) and every
+   * invocation to `toolCalls` as { step, tool, arguments, result, error, durationMs }.
+   * Returns the answering call and the conversation including the tool turns.
+   */
+  async runToolLoop(messages, { userId, calls, toolCalls }) {
+    let conversation = messages;
+
+    for (let step = 1; ; step++) {
+      const tools = step <= env.tools.maxSteps ? decisionTools.definitions : null;
+      // Answers depend on the user's live data - never cached
+      const reply = await this.callProvider(conversation, { tools, cache: false });
+
+      if (!tools || reply.toolCalls.length === 0) {
+        return { ...reply, messages: conversation };
+      }
+
+      calls.push({
+        attempt: 1,
+        provider: reply.provider,
+        model: reply.model,
+        usage: reply.usage,
+        purpose: TOOL_STEP_PURPOSE,
+      });
+
+      const toolTurns = [];
+      for (const call of reply.toolCalls) {
+        const invocation = await decisionTools.run(call, { userId });
+        toolCalls.push({ step, ...invocation });
+        toolTurns.push({
+          role: 'tool',
+          toolCallId: call.id,
+          content: JSON.stringify(invocation.error ? { error: invocation.error } : invocation.result),
+        });
+      }
+
+      conversation = [
+        ...conversation,
+        { role: 'assistant', content: reply.content, toolCalls: reply.toolCalls },
+        ...toolTurns,
+      ];
+    }
   },
 
   /**
-   * Makes the actual OpenAI API call
+   * Makes the actual LLM call through the configured provider
+   * options: { tools, cache, validate, maxTokens, temperature } - tools the model may call
+   * instead of answering; validate(content) keeps rejected replies out of the
+   * response cache; sampling defaults to DECISION_CONFIG
+   * Returns { content, provider, model, usage, cached, toolCalls } - the provider/model
+   * that answered, the tokens it used (estimated when not reported), whether the
+   * response cache answered instead and the tools it asked for
    */
-  async callOpenAI(messages) {
+  async callProvider(messages, {
+    tools = null,
+    cache = true,
+    validate = null,
+    maxTokens = DECISION_CONFIG.maxTokens,
+    temperature = DECISION_CONFIG.temperature,
+  } = {}) {
     try {
-      const completion = await openai.chat.completions.create({
-        model: openaiConfig.model,
+      const result = await getProvider().chat({
         messages,
-        max_tokens: openaiConfig.maxTokens,
-        temperature: openaiConfig.temperature,
-        response_format: { type: 'json_object' },
+        maxTokens,
+        temperature,
+        json: true,
+        cache,
+        ...(validate && { validate }),
+        ...(tools && { tools }),
       });
 
-      const content = completion.choices[0]?.message?.content;
-      
-      if (!content) {
-        throw new Error('Empty response from OpenAI');
+      const toolCalls = result.toolCalls || [];
+      if (!result.content && toolCalls.length === 0) {
+        throw new Error('Empty response from AI provider');
       }
 
-      return content;
+      return {
+        content: result.content,
+        provider: result.provider,
+        model: result.model,
+        usage: usageService.resolveUsage(messages, result),
+        cached: Boolean(result.cached),
+        toolCalls,
+      };
     } catch (error) {
-      // Wrap OpenAI errors with context
+      // Open circuit or exhausted retries - already a 503
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      // Wrap provider errors with context
       if (error.code === 'insufficient_quota') {
-        throw new Error('OpenAI API quota exceeded. Please check your billing.');
+        throw new Error('AI provider quota exceeded. Please check your billing.');
       }
       if (error.code === 'invalid_api_key') {
-        throw new Error('Invalid OpenAI API key. Please check your configuration.');
+        throw new Error('Invalid AI API key. Please check your configuration.');
       }
       if (error.code === 'rate_limit_exceeded') {
         throw new Error('Rate limit exceeded. Please try again in a moment.');
@@ -99,16 +322,18 @@ export const decisionEngine = {
    */
   async healthCheck() {
     try {
-      const response = await openai.chat.completions.create({
-        model: openaiConfig.model,
+      // Reports whichever provider in the chain answered
+      const result = await getProvider().chat({
         messages: [{ role: 'user', content: 'Say "ok" in JSON: {"status": "ok"}' }],
-        max_tokens: 20,
-        response_format: { type: 'json_object' },
+        maxTokens: 20,
+        json: true,
       });
       
       return {
         status: 'ok',
-        model: openaiConfig.model,
+        provider: result.provider,
+        model: result.model,
+        cached: Boolean(result.cached),
       };
     } catch (error) {
       return {
@@ -0,0 +1,139 @@
+/**
+ * Decision Tools
+ *
+ * Read-only tools the model may call while generating a decision, so the
+ * decision reflects what is actually on the user's plate. Every tool is
+ * scoped to the requesting user and never writes anything.
+ *
+ * Arguments are validated against each tool's JSON Schema; failures and
+ * errors go back to the model as { error } instead of failing the request.
+ */
+
+import { TaskModel } from '../../models/task.model.js';
+import { DecisionModel } from '../../models/decision.model.js';
+import { validateOutput } from './outputSchemas.js';
+
+// Most pending tasks returned to the model
+const MAX_PENDING_TASKS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UUID_PATTERN = '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$';
+
+const TOOLS = {
+  list_pending_tasks: {
+    description: 'List the user\'s pending tasks from aligned decisions, highest priority first.',
+    parameters: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false,
+    },
+    async run(args, { userId }) {
+      const tasks = await TaskModel.findPendingByUserId(userId);
+      return {
+        total: tasks.length,
+        tasks: tasks.slice(0, MAX_PENDING_TASKS).map((task) => ({
+          title: task.title,
+          priority: task.priority,
+          decisionId: task.decision_id,
+          createdAt: task.created_at,
+        })),
+      };
+    },
+  },
+
+  get_decision: {
+    description: 'Fetch one of the user\'s past decisions with its reasoning, status and task statuses.',
+    parameters: {
+      type: 'object',
+      required: ['decisionId'],
+      properties: {
+        decisionId: { type: 'string', pattern: UUID_PATTERN },
+      },
+      additionalProperties: false,
+    },
+    async run({ decisionId }, { userId }) {
+      const decision = await DecisionModel.findById(decisionId);
+      // Other users' decisions look exactly like missing ones
+      if (!decision || decision.user_id !== userId) {
+        return { error: 'Decision not found' };
+      }
+
+      const tasks = await TaskModel.findByDecisionId(decisionId);
+      return {
+        decision: decision.decision,
+        reasoning: decision.reasoning,
+        status: decision.status,
+        createdAt: decision.created_at,
+        tasks: tasks.map(({ title, priority, status }) => ({ title, priority, status })),
+      };
+    },
+  },
+
+  count_completed_tasks: {
+    description: 'Count the tasks the user completed in the last N days.',
+    parameters: {
+      type: 'object',
+      required: ['days'],
+      properties: {
+        days: { type: 'integer', minimum: 1, maximum: 365 },
+      },
+      additionalProperties: false,
+    },
+    async run({ days }, { userId }) {
+      const completed = await TaskModel.countCompletedByUserId(userId, new Date(Date.now() - days * DAY_MS));
+      return { days, completed };
+    },
+  },
+};
+
+// Validation schemas carry an $id; the definitions sent to providers do not
+const ARGUMENT_SCHEMAS = Object.fromEntries(
+  Object.entries(TOOLS).map(([name, tool]) => [name, { $id: `tool-${name}`, ...tool.parameters }])
+);
+
+export const decisionTools = {
+  /**
+   * Tool definitions for provider requests: [{ name, description, parameters }]
+   */
+  definitions: Object.entries(TOOLS).map(([name, { description, parameters }]) => ({
+    name,
+    description,
+    parameters,
+  })),
+
+  /**
+   * Run one tool call of the model for a user
+   * Returns { tool, arguments, result, error, durationMs } - never throws
+   */
+  async run({ name, arguments: args }, { userId }) {
+    const startedAt = Date.now();
+    const invocation = { tool: name, arguments: args, result: null, error: null };
+
+    const tool = TOOLS[name];
+    if (!tool) {
+      invocation.error = `Unknown tool "${name}"`;
+    } else if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      invocation.error = 'Arguments must be a JSON object';
+    } else {
+      const errors = validateOutput(ARGUMENT_SCHEMAS[name], args, { rootName: 'arguments' });
+      if (errors.length > 0) {
+        invocation.error = `Invalid arguments: ${errors.join('; ')}`;
+      } else {
+        try {
+          const result = await tool.run(args, { userId });
+          if (result.error) {
+            invocation.error = result.error;
+          } else {
+            invocation.result = result;
+          }
+        } catch (error) {
+          console.warn(`[DECISION TOOL] ${name} failed:`, error.message);
+          invocation.error = 'Tool unavailable, try again later';
+        }
+      }
+    }
+
+    return { ...invocation, durationMs: Date.now() - startedAt };
+  },
+};
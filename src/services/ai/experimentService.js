@@ -0,0 +1,189 @@
+/**
+ * Prompt Experiments
+ *
+ * A/B tests between versions of a registry prompt, defined in
+ * PROMPT_EXPERIMENTS_FILE:
+ *
+ * { "experiments": [{
+ *     "id": "dump-warmth",
+ *     "prompt": "phase-dump",
+ *     "enabled": true,
+ *     "variants": [
+ *       { "name": "control", "version": 1, "weight": 1 },
+ *       { "name": "warmer", "version": 2, "weight": 1 }
+ *   ]
+ * }] }
+ *
+ * Users are bucketed by hashing the experiment id with their userId, so a user
+ * always gets the same variant. Requests without a user get the active prompt.
+ * Enabled experiments override PROMPT_VERSIONS for the prompts they test.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { env } from '../../config/env.js';
+import { promptRegistry } from './promptRegistry.js';
+import { ExperimentModel } from '../../models/experiment.model.js';
+
+const EXPERIMENT_ID_PATTERN = /^[a-z0-9_-]{1,60}$/;
+
+let experiments = null;
+
+/**
+ * Check one experiment definition against the prompt registry
+ */
+function validateExperiment(experiment, index) {
+  const label = experiment.id || `#${index + 1}`;
+
+  if (!EXPERIMENT_ID_PATTERN.test(experiment.id || '')) {
+    throw new Error(`Experiment ${label}: id must use lowercase letters, digits, - and _ (max 60)`);
+  }
+  if (!promptRegistry.has(experiment.prompt)) {
+    throw new Error(`Experiment ${label}: unknown prompt "${experiment.prompt}"`);
+  }
+  if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+    throw new Error(`Experiment ${label}: needs at least two variants`);
+  }
+
+  const names = new Set();
+  for (const variant of experiment.variants) {
+    if (!variant.name || names.has(variant.name)) {
+      throw new Error(`Experiment ${label}: variant names must be unique and non-empty`);
+    }
+    names.add(variant.name);
+
+    if (!promptRegistry.getVersion(experiment.prompt, variant.version)) {
+      throw new Error(`Experiment ${label}: ${experiment.prompt} has no version ${variant.version}`);
+    }
+    if (variant.weight !== undefined && !(variant.weight > 0)) {
+      throw new Error(`Experiment ${label}: variant "${variant.name}" weight must be positive`);
+    }
+  }
+}
+
+/**
+ * Load experiments (PROMPT_EXPERIMENTS_FILE), once
+ */
+function getExperiments() {
+  if (!experiments) {
+    experiments = [];
+
+    if (env.prompts.experimentsFile) {
+      const resolved = path.resolve(env.prompts.experimentsFile);
+      if (!fs.existsSync(resolved)) {
+        throw new Error(`Prompt experiments file not found: ${resolved}`);
+      }
+
+      const { experiments: defined = [] } = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      defined.forEach(validateExperiment);
+
+      const running = defined.filter((experiment) => experiment.enabled !== false);
+      for (const experiment of running) {
+        if (running.filter((other) => other.prompt === experiment.prompt).length > 1) {
+          throw new Error(`Only one enabled experiment per prompt - ${experiment.prompt} has several`);
+        }
+      }
+
+      experiments = defined.map((experiment) => ({
+        id: experiment.id,
+        prompt: experiment.prompt,
+        enabled: experiment.enabled !== false,
+        variants: experiment.variants.map(({ name, version, weight = 1 }) => ({ name, version, weight })),
+      }));
+    }
+  }
+  return experiments;
+}
+
+/**
+ * Stable position of a user in an experiment, in [0, 1)
+ */
+function bucketOf(experimentId, userId) {
+  const hash = createHash('sha256').update(`${experimentId}:${userId}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+export const experimentService = {
+  /**
+   * Every configured experiment
+   */
+  list() {
+    return getExperiments();
+  },
+
+  findById(experimentId) {
+    return getExperiments().find((experiment) => experiment.id === experimentId) || null;
+  },
+
+  /**
+   * The variant a user is assigned to
+   */
+  assign(experiment, userId) {
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let point = bucketOf(experiment.id, userId) * totalWeight;
+
+    for (const variant of experiment.variants) {
+      point -= variant.weight;
+      if (point < 0) return variant;
+    }
+    return experiment.variants[experiment.variants.length - 1];
+  },
+
+  /**
+   * The prompt a user gets: their variant in an enabled experiment,
+   * otherwise the active version.
+   * Returns { id, version, content, experiment: { id, variant } | null }
+   */
+  resolvePrompt(promptId, userId = null) {
+    const experiment = userId
+      ? getExperiments().find((candidate) => candidate.enabled && candidate.prompt === promptId)
+      : null;
+
+    if (!experiment) {
+      return { ...promptRegistry.get(promptId), experiment: null };
+    }
+
+    const variant = this.assign(experiment, userId);
+    return {
+      ...promptRegistry.getVersion(promptId, variant.version),
+      experiment: { id: experiment.id, variant: variant.name },
+    };
+  },
+
+  /**
+   * Per-variant metrics of an experiment
+   * - validationPassRate: replies whose final attempt passed validation
+   * - regenerationRate: replies that needed a regeneration or repair
+   * - taskCompletionRate: completed share of the tasks of decisions the variant touched
+   */
+  async getMetrics(experiment) {
+    const [responseRows, taskRows] = await Promise.all([
+      ExperimentModel.getResponseStats(experiment.id),
+      ExperimentModel.getTaskStats(experiment.id),
+    ]);
+
+    const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+
+    const variants = experiment.variants.map(({ name, version, weight }) => {
+      const responses = responseRows.find((row) => row.variant === name) || {};
+      const tasks = taskRows.find((row) => row.variant === name) || {};
+      const total = Number(responses.responses || 0);
+      const taskCount = Number(tasks.tasks || 0);
+
+      return {
+        variant: name,
+        version,
+        weight,
+        users: Number(responses.users || 0),
+        responses: total,
+        validationPassRate: rate(Number(responses.passed || 0), total),
+        regenerationRate: rate(Number(responses.regenerated || 0), total),
+        tasks: taskCount,
+        taskCompletionRate: rate(Number(tasks.completed || 0), taskCount),
+      };
+    });
+
+    return { ...experiment, variants };
+  },
+};
@@ -0,0 +1,130 @@
+/**
+ * History Summarizer
+ *
+ * Condenses conversation turns into short summaries so long sessions
+ * stay within their token budget.
+ * Falls back to a local extractive summary if the model is unavailable.
+ */
+
+import { getProvider } from './providers/index.js';
+import { summaryService } from '../memory/summaryService.js';
+import { usageService } from '../usage/usageService.js';
+
+const SUMMARY_MAX_TOKENS = 250;
+
+const HISTORY_SUMMARY_PROMPT = `You condense a conversation between a user and a calm thinking assistant.
+
+RULES:
+- Write in third person ("The user...")
+- Keep every concrete fact, worry, constraint, decision and task the user mentioned
+- Keep the user's own words for key feelings where possible
+- Do not add advice, interpretation or anything that was not said
+- Plain prose, no lists, at most 8 sentences
+
+If a previous summary is given, merge it with the new turns into ONE updated summary.`;
+
+const PHASE_SUMMARY_PROMPT = `You summarize one finished phase of a thinking session between a user and a calm assistant.
+
+RULES:
+- Write in third person ("The user...")
+- State what the phase produced: the thoughts dumped, the problem named, the decision made, or the tasks agreed
+- Do not add advice or anything that was not said
+- Plain prose, no lists, at most 4 sentences`;
+
+/**
+ * Format turns as a plain transcript for the summarizer
+ */
+function formatTranscript(messages) {
+  return messages
+    .map((m) => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+    .join('\n');
+}
+
+/**
+ * Local fallback: keep the start of each user turn
+ */
+function extractiveSummary(previousSummary, messages) {
+  const userLines = messages
+    .filter((m) => m.role === 'user')
+    .map((m) => summaryService.truncate(m.content.replace(/\s+/g, ' '), 160));
+
+  const parts = [
+    ...(previousSummary ? [previousSummary] : []),
+    ...(userLines.length > 0 ? [`The user said: ${userLines.join(' / ')}`] : []),
+  ];
+
+  return summaryService.truncate(parts.join('\n'), summaryService.MAX_SUMMARY_LENGTH * 2);
+}
+
+/**
+ * Ask the model for a summary, falling back to the extractive one
+ * usage: { purpose, userId, sessionId, decisionId } the call is billed to
+ */
+async function complete(systemPrompt, userPrompt, fallback, usage) {
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt },
+  ];
+
+  try {
+    const result = await getProvider().chat({
+      messages,
+      temperature: 0.2,
+      maxTokens: SUMMARY_MAX_TOKENS,
+    });
+
+    await usageService.recordCall({
+      ...usage,
+      provider: result.provider,
+      model: result.model,
+      usage: usageService.resolveUsage(messages, result),
+    });
+
+    if (result.content) return result.content;
+  } catch (error) {
+    console.warn('[history] Summarization failed, using extractive summary:', error.message);
+  }
+
+  return fallback();
+}
+
+/**
+ * Fold older turns into the rolling summary
+ * usageContext: { userId, sessionId, decisionId } the call is billed to
+ * Returns the updated summary text
+ */
+export async function summarizeTurns(previousSummary, messages, usageContext = {}) {
+  const userPrompt = [
+    ...(previousSummary ? [`PREVIOUS SUMMARY:\n${previousSummary}`] : []),
+    `NEW TURNS:\n${formatTranscript(messages)}`,
+  ].join('\n\n');
+
+  return complete(
+    HISTORY_SUMMARY_PROMPT,
+    userPrompt,
+    () => extractiveSummary(previousSummary, messages),
+    { ...usageContext, purpose: 'history_summary' }
+  );
+}
+
+/**
+ * Summarize a finished phase
+ * usageContext: { userId, sessionId, decisionId } the call is billed to
+ * Returns the summary text
+ */
+export async function summarizePhase(phase, messages, usageContext = {}) {
+  const userPrompt = `PHASE: ${phase}\n\nTURNS:\n${formatTranscript(messages)}`;
+
+  return complete(
+    PHASE_SUMMARY_PROMPT,
+    userPrompt,
+    () => extractiveSummary(null, messages),
+    { ...usageContext, purpose: 'phase_summary', phase }
+  );
+}
+
+export const historySummarizer = {
+  summarizeTurns,
+  summarizePhase,
+  SUMMARY_MAX_TOKENS,
+};
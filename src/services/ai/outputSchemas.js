@@ -0,0 +1,97 @@
+/**
+ * JSON Schemas for structured AI output.
+ * Validation errors are phrased so they can be sent back to the model
+ * verbatim when asking it to repair a reply.
+ */
+
+import Ajv from 'ajv';
+
+export const MAX_TASKS = 5;
+
+// A string with at least one non-whitespace character
+const NON_EMPTY_STRING = { type: 'string', pattern: '\\S' };
+
+/**
+ * Decision output - see the JSON SCHEMA in prompts/decision-system
+ */
+export const DECISION_OUTPUT_SCHEMA = {
+  $id: 'decision-output',
+  type: 'object',
+  required: ['decision', 'reasoning', 'tasks'],
+  properties: {
+    decision: NON_EMPTY_STRING,
+    reasoning: NON_EMPTY_STRING,
+    tasks: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_TASKS,
+      items: {
+        type: 'object',
+        required: ['title', 'priority'],
+        properties: {
+          title: NON_EMPTY_STRING,
+          priority: { type: 'number', minimum: 1 },
+        },
+      },
+    },
+    alignment_check: { type: 'string' },
+  },
+};
+
+/**
+ * Clarity check output - see prompts/decision-clarity
+ * A question is required when clarification is needed
+ */
+export const CLARITY_CHECK_OUTPUT_SCHEMA = {
+  $id: 'clarity-check-output',
+  type: 'object',
+  required: ['needs_clarification'],
+  properties: {
+    needs_clarification: { type: 'boolean' },
+    question: { type: ['string', 'null'], maxLength: 300 },
+  },
+  if: { properties: { needs_clarification: { const: true } } },
+  then: { required: ['question'], properties: { question: NON_EMPTY_STRING } },
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validators = new Map();
+
+/**
+ * Turn a JSON pointer (/tasks/0/title) into a readable path (tasks[0].title)
+ */
+function toFieldPath(instancePath, rootName) {
+  if (!instancePath) return rootName;
+
+  return instancePath
+    .slice(1)
+    .split('/')
+    .map((part, index) => (/^\d+$/.test(part) ? `[${part}]` : `${index > 0 ? '.' : ''}${part}`))
+    .join('');
+}
+
+/**
+ * Validate data against a schema
+ * rootName labels errors on the data itself ("response is missing ...")
+ * Returns a list of error strings (empty when valid)
+ */
+export function validateOutput(schema, data, { rootName = 'response' } = {}) {
+  if (!validators.has(schema.$id)) {
+    validators.set(schema.$id, ajv.compile(schema));
+  }
+
+  const validate = validators.get(schema.$id);
+  if (validate(data)) return [];
+
+  // A failed if/then is already reported by the keyword that failed inside it
+  return validate.errors.filter((error) => error.keyword !== 'if').map((error) => {
+    const field = toFieldPath(error.instancePath, rootName);
+    if (error.keyword === 'required') {
+      return `${field} is missing "${error.params.missingProperty}"`;
+    }
+    if (error.keyword === 'pattern' && error.params.pattern === NON_EMPTY_STRING.pattern) {
+      return `${field} must not be empty`;
+    }
+    return `${field} ${error.message}`;
+  });
+}
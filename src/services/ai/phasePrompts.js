@@ -4,11 +4,15 @@
  * Each phase has strict behavioral rules that the LLM must follow.
  * The AI does NOT decide phase transitions - only the user can advance phases.
  * 
- * IMPLEMENTED: Phase 1 (DUMP)
- * FUTURE: Phases 2-5
+ * IMPLEMENTED: Phases 1-5 (DUMP, CLARITY, DECISION, PLANNING, EXECUTION)
+ *
+ * The prompt text lives in the prompt registry (prompts/phase-<phase>/v<N>.txt);
+ * users in a prompt experiment get their variant's version.
  */
 
 import { PHASES } from '../../models/session.model.js';
+import { promptRegistry } from './promptRegistry.js';
+import { experimentService } from './experimentService.js';
 
 /**
  * Phase 1: DUMP / BRAINSTORM
@@ -28,77 +32,86 @@ import { PHASES } from '../../models/session.model.js';
  * - Structure or summarize into lists
  * - Suggest next steps
  */
-const DUMP_PHASE_PROMPT = `You are a calm, grounding presence helping someone offload their thoughts.
-
-YOUR ROLE:
-You are NOT a coach. You are NOT an advisor. You are a mirror.
-Your only job is to help the person feel heard and understood.
-
-STRICT RULES — FOLLOW EXACTLY:
-
-1. REFLECT emotions and themes you notice in their words
-2. NORMALIZE any confusion, overwhelm, or messiness
-3. KEEP responses SHORT — 3 to 5 lines maximum
-4. SOUND calm, warm, and grounded — never authoritative
-
-FORBIDDEN ACTIONS — NEVER DO THESE:
-
-❌ DO NOT ask questions
-❌ DO NOT give advice or suggestions
-❌ DO NOT add your own ideas
-❌ DO NOT create lists, bullet points, or structured summaries
-❌ DO NOT suggest next steps or actions
-❌ DO NOT try to solve or fix anything
-❌ DO NOT use phrases like "you should", "try to", "consider", "what if"
-
-IF THE USER ASKS FOR ADVICE:
-Gently acknowledge the urge but redirect to expression.
-Example: "It makes sense you'd want answers right now. For now, just let it out — there's time for that later."
-
-TONE:
-- Warm but not enthusiastic
-- Present but not intrusive
-- Accepting without judgment
-- Like a trusted friend who just listens
-
-RESPONSE FORMAT:
-- Plain text only
-- No markdown, no formatting
-- No emojis
-- 3-5 short lines`;
+const DUMP_PHASE_PROMPT_ID = 'phase-dump';
 
 /**
- * Phase 2: CLARITY (FUTURE)
- * Placeholder for when we implement phase 2
+ * Phase 2: CLARITY / NAME THE PROBLEM
+ * 
+ * Goal: Turn the dump into one clearly named core problem.
+ * 
+ * MUST:
+ * - Draw only from what the user has already said
+ * - Offer ONE short naming of the core problem
+ * - Keep responses short (2-5 lines)
+ * - Ask at most ONE focused question, only to sharpen the naming
+ * 
+ * MUST NOT:
+ * - Give advice or solutions
+ * - Suggest next steps
+ * - Structure into lists
+ * - Ask more than one question
  */
-const CLARITY_PHASE_PROMPT = `[PHASE 2 - NOT YET IMPLEMENTED]
-This phase will help name and clarify the core problem.`;
+const CLARITY_PHASE_PROMPT_ID = 'phase-clarity';
 
 /**
- * Phase 3: DECISION (FUTURE)
+ * Phase 3: DECISION / COMMIT OR DEFER
+ * 
+ * Goal: Land on one explicit outcome for the named problem.
+ * 
+ * MUST:
+ * - Draw from the DUMP and CLARITY conversation only
+ * - Produce exactly ONE outcome: commit to X, or defer until Y because Z
+ * - Respond in JSON so the outcome can be stored
+ * - Keep the conversational message short (2-5 lines)
+ * 
+ * MUST NOT:
+ * - Offer competing options
+ * - Break the decision into tasks (that is PLANNING)
+ * - Ask more than one question
  */
-const DECISION_PHASE_PROMPT = `[PHASE 3 - NOT YET IMPLEMENTED]
-This phase will help commit to or defer a decision.`;
+const DECISION_PHASE_PROMPT_ID = 'phase-decision';
 
 /**
- * Phase 4: PLANNING (FUTURE)
+ * Phase 4: PLANNING / LIGHT STRUCTURE
+ * 
+ * Goal: Turn the committed decision into a few concrete tasks.
+ * 
+ * MUST:
+ * - Serve the committed decision only
+ * - Propose 1-5 concrete, small tasks
+ * - Revise the list when the user edits or drops tasks
+ * - Respond in JSON so the tasks can be accepted
+ * 
+ * MUST NOT:
+ * - Reopen the decision or offer new strategic options
+ * - Propose more than 5 tasks
  */
-const PLANNING_PHASE_PROMPT = `[PHASE 4 - NOT YET IMPLEMENTED]
-This phase will create light structure around the decision.`;
+const PLANNING_PHASE_PROMPT_ID = 'phase-planning';
 
 /**
- * Phase 5: EXECUTION (FUTURE)
+ * Phase 5: EXECUTION / SUPPORT DURING ACTION
+ * 
+ * Goal: Keep the user moving through their accepted tasks.
+ * 
+ * MUST:
+ * - Know the tasks and their statuses (given as context)
+ * - Turn updates like "I did the first one" into task status changes
+ * - Give short, calm support for the next step
+ * - Respond in JSON so status changes can be applied
+ * 
+ * MUST NOT:
+ * - Add new tasks or reopen the decision
+ * - Lecture, pressure, or over-praise
  */
-const EXECUTION_PHASE_PROMPT = `[PHASE 5 - NOT YET IMPLEMENTED]
-This phase will support the user during action.`;
-
-// Map phases to their prompts
-const PHASE_PROMPTS = {
-  [PHASES.DUMP]: DUMP_PHASE_PROMPT,
-  [PHASES.CLARITY]: CLARITY_PHASE_PROMPT,
-  [PHASES.DECISION]: DECISION_PHASE_PROMPT,
-  [PHASES.PLANNING]: PLANNING_PHASE_PROMPT,
-  [PHASES.EXECUTION]: EXECUTION_PHASE_PROMPT,
+const EXECUTION_PHASE_PROMPT_ID = 'phase-execution';
+
+// Map phases to their registry prompt ids
+const PHASE_PROMPT_IDS = {
+  [PHASES.DUMP]: DUMP_PHASE_PROMPT_ID,
+  [PHASES.CLARITY]: CLARITY_PHASE_PROMPT_ID,
+  [PHASES.DECISION]: DECISION_PHASE_PROMPT_ID,
+  [PHASES.PLANNING]: PLANNING_PHASE_PROMPT_ID,
+  [PHASES.EXECUTION]: EXECUTION_PHASE_PROMPT_ID,
 };
 
 // LLM configuration per phase
@@ -107,39 +120,63 @@ const PHASE_CONFIG = {
     temperature: 0.4,      // Low-medium: calm, not too creative
     maxTokens: 150,        // Short responses only
     topP: 0.9,
+    historyTokenBudget: 2000, // History tokens per turn, older turns are summarized
   },
-  // Future phases will have different configs
   [PHASES.CLARITY]: {
     temperature: 0.5,
     maxTokens: 200,
     topP: 0.9,
+    historyTokenBudget: 2500,
   },
   [PHASES.DECISION]: {
     temperature: 0.3,
-    maxTokens: 250,
+    maxTokens: 400,        // Room for the JSON envelope around the message
     topP: 0.85,
+    jsonMode: true,        // Outcome is parsed and stored as a decision
+    historyTokenBudget: 3000,
   },
   [PHASES.PLANNING]: {
     temperature: 0.4,
-    maxTokens: 300,
+    maxTokens: 500,        // Up to 5 tasks plus the message
     topP: 0.9,
+    jsonMode: true,        // Proposed tasks are parsed for acceptance
+    historyTokenBudget: 3000,
   },
   [PHASES.EXECUTION]: {
     temperature: 0.5,
-    maxTokens: 200,
+    maxTokens: 300,        // Room for the JSON envelope around the message
     topP: 0.9,
+    jsonMode: true,        // Status changes are parsed and applied
+    historyTokenBudget: 2000,
   },
 };
 
 /**
- * Get the system prompt for a specific phase
+ * Get the prompt template for a specific phase - the user's experiment
+ * variant if they are in one, otherwise the active version
+ * Returns { id, version, content, experiment }
  */
-export function getPhasePrompt(phase) {
-  const prompt = PHASE_PROMPTS[phase];
-  if (!prompt) {
+export function getPhasePromptTemplate(phase, userId = null) {
+  const promptId = PHASE_PROMPT_IDS[phase];
+  if (!promptId) {
     throw new Error(`Unknown phase: ${phase}`);
   }
-  return prompt;
+  return experimentService.resolvePrompt(promptId, userId);
+}
+
+/**
+ * Get the system prompt for a specific phase
+ */
+export function getPhasePrompt(phase, userId = null) {
+  return getPhasePromptTemplate(phase, userId).content;
+}
+
+/**
+ * Find the phase a system prompt belongs to, in any version
+ */
+export function findPhaseByPrompt(content) {
+  const promptId = promptRegistry.findByContent(content)?.id;
+  return Object.keys(PHASE_PROMPT_IDS).find((phase) => PHASE_PROMPT_IDS[phase] === promptId) || null;
 }
 
 /**
@@ -155,13 +192,15 @@ export function getPhaseConfig(phase) {
 
 /**
  * Build messages array for LLM call
- * Includes system prompt + conversation history
+ * Includes system prompt + optional phase context + conversation history
+ * options.userId picks the user's experiment variant of the prompt
  */
-export function buildPhaseMessages(phase, conversationHistory = []) {
-  const systemPrompt = getPhasePrompt(phase);
+export function buildPhaseMessages(phase, conversationHistory = [], phaseContext = null, { userId = null } = {}) {
+  const systemPrompt = getPhasePrompt(phase, userId);
   
   return [
     { role: 'system', content: systemPrompt },
+    ...(phaseContext ? [{ role: 'system', content: phaseContext }] : []),
     ...conversationHistory.map(msg => ({
       role: msg.role,
       content: msg.content,
@@ -171,8 +210,10 @@ export function buildPhaseMessages(phase, conversationHistory = []) {
 
 export const phasePrompts = {
   getPhasePrompt,
+  getPhasePromptTemplate,
+  findPhaseByPrompt,
   getPhaseConfig,
   buildPhaseMessages,
-  DUMP_PHASE_PROMPT,
+  PHASE_PROMPT_IDS,
 };
 
@@ -0,0 +1,328 @@
+/**
+ * Phase Response Rules
+ *
+ * Declarative rules every phase response is checked against.
+ * Evaluated by ruleEngine.js - no logic lives here.
+ *
+ * Each phase declares:
+ * - parse: optional parser for structured (JSON) phases. Failing to parse
+ *   is a violation of the built-in `format` rule.
+ * - formatReminder: reminder used when the response does not parse
+ * - rules: list of rules (see RULE TYPES below)
+ *
+ * Every rule has:
+ * - id: stable identifier, used for per-rule statistics
+ * - type: one of RULE TYPES
+ * - severity: 'error' | 'warning'
+ * - action: 'retry' (regenerate) | 'warn' (record only)
+ * - reminder: sentence added to the regeneration prompt
+ * - target: 'message' (default) | 'tasks' | ['message', 'tasks']
+ *   For plain-text phases, 'message' is the whole response.
+ *
+ * RULE TYPES:
+ * - forbidden: { patterns } - no pattern may match
+ * - required: { properties } - structured output must have non-empty properties
+ * - lines: { min, max } - non-empty line count
+ * - length: { max } - character count
+ * - questions: { max } - question mark count
+ */
+
+import { PHASES } from '../../models/session.model.js';
+import { responseParser } from './responseParser.js';
+
+// ============================================
+// SHARED PATTERNS
+// ============================================
+
+const QUESTION_PATTERNS = [
+  /\?$/m,                           // Ends with question mark
+  /^(what|how|why|when|where|who|would|could|can|do|does|have|has|are|is)\s/im,
+];
+
+const ADVICE_PATTERNS = [
+  /\b(you should|you could|try to|consider|i suggest|i recommend|maybe you|perhaps you)\b/i,
+  /\b(why don't you|what if you|have you tried)\b/i,
+];
+
+const STRUCTURE_PATTERNS = [
+  /^\s*[-•*]\s/m,                   // Bullet points
+  /^\s*\d+\.\s/m,                   // Numbered lists
+  /^#{1,6}\s/m,                     // Markdown headers
+];
+
+// Directives towards action - CLARITY may still name a plan or task as the problem
+const NEXT_STEP_DIRECTIVE_PATTERNS = [
+  /\b(next step|first step|start by|begin with|action item)\b/i,
+];
+
+const NEXT_STEP_PATTERNS = [
+  ...NEXT_STEP_DIRECTIVE_PATTERNS,
+  /\b(to-do|todo|task|plan)\b/i,
+];
+
+const SOLUTION_PATTERNS = [
+  /\b(the answer is|the solution is|you need to|the best way)\b/i,
+];
+
+// The decision is already made - tasks must serve it, not reopen it
+const NEW_OPTION_PATTERNS = [
+  /\b(alternatively|another option|other option|instead,? you could|or you could|on the other hand)\b/i,
+  /\b(reconsider|rethink the decision|a different approach|a different direction)\b/i,
+];
+
+const EMOJI_PATTERNS = [
+  /\p{Extended_Pictographic}/u,
+];
+
+// ============================================
+// PHASE RULES
+// ============================================
+
+export const PHASE_RULES = {
+  [PHASES.DUMP]: {
+    parse: null,
+    rules: [
+      {
+        id: 'dump.questions',
+        type: 'forbidden',
+        patterns: QUESTION_PATTERNS,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'DO NOT ask questions.',
+      },
+      {
+        id: 'dump.advice',
+        type: 'forbidden',
+        patterns: ADVICE_PATTERNS,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'DO NOT give advice or suggestions.',
+      },
+      {
+        id: 'dump.structure',
+        type: 'forbidden',
+        patterns: STRUCTURE_PATTERNS,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'DO NOT use lists, bullet points, or headers.',
+      },
+      {
+        id: 'dump.next_steps',
+        type: 'forbidden',
+        patterns: NEXT_STEP_PATTERNS,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'DO NOT suggest next steps, tasks, or plans.',
+      },
+      {
+        id: 'dump.lines',
+        type: 'lines',
+        min: 1,
+        max: 6,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'Keep it to 3-5 lines of plain reflection.',
+      },
+      {
+        id: 'dump.length',
+        type: 'length',
+        max: 600,
+        severity: 'warning',
+        action: 'warn',
+        reminder: 'Keep each line short.',
+      },
+      {
+        id: 'dump.emoji',
+        type: 'forbidden',
+        patterns: EMOJI_PATTERNS,
+        severity: 'warning',
+        action: 'warn',
+        reminder: 'DO NOT use emojis.',
+      },
+    ],
+  },
+
+  [PHASES.CLARITY]: {
+    parse: null,
+    rules: [
+      {
+        id: 'clarity.questions',
+        type: 'questions',
+        max: 1,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'Ask AT MOST ONE question.',
+      },
+      {
+        id: 'clarity.advice',
+        type: 'forbidden',
+        patterns: ADVICE_PATTERNS,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'DO NOT give advice.',
+      },
+      {
+        id: 'clarity.solutions',
+        type: 'forbidden',
+        patterns: SOLUTION_PATTERNS,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'DO NOT propose solutions - only name the problem.',
+      },
+      {
+        id: 'clarity.structure',
+        type: 'forbidden',
+        patterns: STRUCTURE_PATTERNS,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'DO NOT use lists.',
+      },
+      {
+        id: 'clarity.next_steps',
+        type: 'forbidden',
+        patterns: NEXT_STEP_DIRECTIVE_PATTERNS,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'DO NOT suggest next steps.',
+      },
+      {
+        id: 'clarity.lines',
+        type: 'lines',
+        min: 1,
+        max: 6,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'Name the core problem in 2-5 lines of plain text.',
+      },
+    ],
+  },
+
+  [PHASES.DECISION]: {
+    parse: (raw) => responseParser.parseSessionDecision(raw),
+    formatReminder: 'Respond ONLY with the required JSON. "outcome" must be "commit" or "defer"; a deferral needs "defer_until" and "reason".',
+    rules: [
+      {
+        id: 'decision.reason',
+        type: 'required',
+        properties: ['reason'],
+        severity: 'warning',
+        action: 'warn',
+        reminder: 'Always include a short "reason".',
+      },
+      {
+        id: 'decision.questions',
+        type: 'questions',
+        max: 1,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'Ask AT MOST ONE question in "message".',
+      },
+      {
+        id: 'decision.structure',
+        type: 'forbidden',
+        patterns: STRUCTURE_PATTERNS,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'DO NOT use lists in "message".',
+      },
+      {
+        id: 'decision.lines',
+        type: 'lines',
+        min: 1,
+        max: 6,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'Keep "message" to 2-5 plain lines.',
+      },
+    ],
+  },
+
+  [PHASES.PLANNING]: {
+    parse: (raw) => responseParser.parseSessionPlan(raw),
+    formatReminder: 'Respond ONLY with the required JSON. Propose 1 to 5 tasks, each with a "title" and "priority".',
+    rules: [
+      {
+        id: 'planning.new_options',
+        type: 'forbidden',
+        patterns: NEW_OPTION_PATTERNS,
+        target: ['message', 'tasks'],
+        severity: 'error',
+        action: 'retry',
+        reminder: 'DO NOT offer alternatives or reopen the decision - tasks must serve it.',
+      },
+      {
+        id: 'planning.questions',
+        type: 'questions',
+        max: 1,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'Ask AT MOST ONE question in "message".',
+      },
+      {
+        id: 'planning.structure',
+        type: 'forbidden',
+        patterns: STRUCTURE_PATTERNS,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'DO NOT use lists in "message" - tasks belong in "tasks".',
+      },
+      {
+        id: 'planning.lines',
+        type: 'lines',
+        min: 1,
+        max: 5,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'Keep "message" to 1-4 plain lines.',
+      },
+    ],
+  },
+
+  [PHASES.EXECUTION]: {
+    parse: (raw) => responseParser.parseSessionCheckIn(raw),
+    formatReminder: 'Respond ONLY with the required JSON. Report status changes by task number in "task_updates".',
+    rules: [
+      {
+        id: 'execution.new_options',
+        type: 'forbidden',
+        patterns: NEW_OPTION_PATTERNS,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'DO NOT add tasks or offer alternatives.',
+      },
+      {
+        id: 'execution.questions',
+        type: 'questions',
+        max: 1,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'Ask AT MOST ONE question in "message".',
+      },
+      {
+        id: 'execution.structure',
+        type: 'forbidden',
+        patterns: STRUCTURE_PATTERNS,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'DO NOT use lists in "message".',
+      },
+      {
+        id: 'execution.lines',
+        type: 'lines',
+        min: 1,
+        max: 5,
+        severity: 'error',
+        action: 'retry',
+        reminder: 'Keep "message" to 1-4 plain lines.',
+      },
+    ],
+  },
+};
+
+/**
+ * Get the rule set for a phase
+ * Returns null for phases without rules
+ */
+export function getPhaseRules(phase) {
+  return PHASE_RULES[phase] || null;
+}
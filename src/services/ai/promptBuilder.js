@@ -3,46 +3,19 @@
  * Focus: Reduce mental confusion → produce a clear, actionable next step.
  */
 
-const SYSTEM_PROMPT = `You are a calm, unbiased decision clarity assistant.
-
-Your job is NOT to motivate.
-Your job is NOT to explore many options.
-Your job is to reduce confusion and suggest a clear next direction.
-
-IMPORTANT BEHAVIOR RULES:
-- Do not overwhelm the user
-- Do not provide multiple competing paths
-- Do not use hype or emotional language
-- Be honest about uncertainty
-- If the situation is unclear, say so
-
-OUTPUT RULES:
-- Respond ONLY in valid JSON
-- Follow the exact schema provided
-- No markdown
-- No extra text
-
-DECISION FRAMEWORK (follow this internally):
-1. Identify the core tension or confusion
-2. Decide what matters most RIGHT NOW
-3. Choose ONE reasonable direction
-4. Translate it into simple, concrete actions
-
-JSON SCHEMA (must match exactly):
-{
-  "decision": "One clear direction stated simply",
-  "reasoning": "Why this direction makes sense right now (short, calm, factual)",
-  "tasks": [
-    { "title": "Specific action", "priority": 1 },
-    { "title": "Specific action", "priority": 2 }
-  ],
-  "alignment_check": "Are we aligned, or should we challenge this before moving on?"
-}
-
-FINAL CHECK BEFORE RESPONDING:
-- Is this the simplest helpful answer?
-- Would a thoughtful human say this?
-- Does this reduce mental load?`;
+import { experimentService } from './experimentService.js';
+
+// Registry id of the decision system prompt (prompts/decision-system/v<N>.txt)
+export const SYSTEM_PROMPT_ID = 'decision-system';
+
+// Registry id of the clarity check prompt (prompts/decision-clarity/v<N>.txt)
+export const CLARITY_PROMPT_ID = 'decision-clarity';
+
+// The user's experiment variant, otherwise the active version
+const getSystemTemplate = (userId = null) => experimentService.resolvePrompt(SYSTEM_PROMPT_ID, userId);
+const getClarityTemplate = (userId = null) => experimentService.resolvePrompt(CLARITY_PROMPT_ID, userId);
+
+const CLARIFICATION_QUESTION = 'Can you clarify the core tension you are facing?';
 
 const CONTEXT_TEMPLATE = `KNOWN CONTEXT (if any):
 {context}
@@ -52,15 +25,20 @@ const CONTEXT_TEMPLATE = `KNOWN CONTEXT (if any):
 const USER_INPUT_TEMPLATE = `USER INPUT:
 {userInput}`;
 
+const REPAIR_TEMPLATE = `Your previous response did not match the required JSON schema:
+{errors}
+
+Respond again with the corrected JSON only - same schema, no extra text.`;
+
 export const promptBuilder = {
   /**
    * Builds the complete prompt for decision generation
    */
-  buildDecisionPrompt({ userInput, context = null }) {
+  buildDecisionPrompt({ userInput, context = null, userId = null }) {
     const messages = [
       {
         role: 'system',
-        content: SYSTEM_PROMPT,
+        content: getSystemTemplate(userId).content,
       },
     ];
 
@@ -82,25 +60,45 @@ export const promptBuilder = {
   },
 
   /**
-   * Builds a follow-up prompt for clarification
+   * Builds a prompt that asks whether input is clear enough to decide on
    */
-  buildClarificationPrompt({ originalInput, clarification }) {
-    return [
+  buildClarityCheckPrompt({ userInput, context = null, userId = null }) {
+    const messages = [
       {
         role: 'system',
-        content: SYSTEM_PROMPT,
-      },
-      {
-        role: 'user',
-        content: `USER INPUT:\n${originalInput}`,
+        content: getClarityTemplate(userId).content,
       },
+    ];
+
+    if (context) {
+      messages.push({
+        role: 'system',
+        content: CONTEXT_TEMPLATE.replace('{context}', context),
+      });
+    }
+
+    messages.push({
+      role: 'user',
+      content: USER_INPUT_TEMPLATE.replace('{userInput}', userInput),
+    });
+
+    return messages;
+  },
+
+  /**
+   * Builds a follow-up prompt for clarification
+   * question: the question the user answered
+   */
+  buildClarificationPrompt({ originalInput, clarification, question = CLARIFICATION_QUESTION, context = null, userId = null }) {
+    return [
+      ...this.buildDecisionPrompt({ userInput: originalInput, context, userId }),
       {
         role: 'assistant',
         content: JSON.stringify({
           decision: 'I need more clarity before suggesting a direction.',
           reasoning: 'The input contains ambiguity that could lead to a misaligned recommendation.',
           tasks: [],
-          alignment_check: 'Can you clarify the core tension you are facing?',
+          alignment_check: question,
         }),
       },
       {
@@ -113,11 +111,11 @@ export const promptBuilder = {
   /**
    * Builds prompt for refining an existing decision
    */
-  buildRefinementPrompt({ originalDecision, feedback }) {
+  buildRefinementPrompt({ originalDecision, feedback, userId = null }) {
     return [
       {
         role: 'system',
-        content: SYSTEM_PROMPT,
+        content: getSystemTemplate(userId).content,
       },
       {
         role: 'user',
@@ -134,10 +132,44 @@ Refine the direction based on this feedback. Respond in the required JSON format
     ];
   },
 
+  /**
+   * Builds a repair prompt: the original prompt, the invalid reply
+   * and the exact validation errors to fix
+   */
+  buildRepairPrompt(messages, invalidResponse, errors) {
+    return [
+      ...messages,
+      {
+        role: 'assistant',
+        content: invalidResponse,
+      },
+      {
+        role: 'user',
+        content: REPAIR_TEMPLATE.replace('{errors}', errors.map((error) => `- ${error}`).join('\n')),
+      },
+    ];
+  },
+
   /**
    * Gets the system prompt for reference
    */
-  getSystemPrompt() {
-    return SYSTEM_PROMPT;
+  getSystemPrompt(userId = null) {
+    return getSystemTemplate(userId).content;
+  },
+
+  /**
+   * Id, version and experiment variant of a user's system prompt - stamped on decisions
+   */
+  getSystemPromptVersion(userId = null) {
+    const { id, version, experiment } = getSystemTemplate(userId);
+    return { id, version, experiment };
+  },
+
+  /**
+   * Id, version and experiment variant of a user's clarity check prompt
+   */
+  getClarityPromptVersion(userId = null) {
+    const { id, version, experiment } = getClarityTemplate(userId);
+    return { id, version, experiment };
   },
 };
@@ -0,0 +1,124 @@
+/**
+ * Prompt Registry
+ *
+ * Loads versioned prompt templates from files:
+ *   prompts/<prompt-id>/v<version>.txt
+ *
+ * Each prompt's latest version is active unless PROMPT_VERSIONS pins another.
+ * Records produced by a prompt are stamped with its id and version
+ * (prompt_id / prompt_version), so wording changes stay traceable.
+ * Published versions should never be edited - add a new file instead.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { env } from '../../config/env.js';
+
+const DEFAULT_PROMPTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../../prompts');
+const VERSION_FILE_PATTERN = /^v(\d+)\.txt$/;
+
+// id -> { versions: Map(version -> content), active }
+let registry = null;
+
+/**
+ * Read every prompt and its versions from disk
+ */
+function loadPrompts(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Prompts directory not found: ${dir}`);
+  }
+
+  const prompts = new Map();
+
+  for (const id of fs.readdirSync(dir).sort()) {
+    const promptDir = path.join(dir, id);
+    if (!fs.statSync(promptDir).isDirectory()) continue;
+
+    const versions = new Map();
+    for (const file of fs.readdirSync(promptDir)) {
+      const match = file.match(VERSION_FILE_PATTERN);
+      if (match) {
+        versions.set(parseInt(match[1], 10), fs.readFileSync(path.join(promptDir, file), 'utf8').trimEnd());
+      }
+    }
+
+    if (versions.size === 0) continue;
+
+    const pinned = env.prompts.versions[id];
+    if (pinned !== undefined && !versions.has(pinned)) {
+      throw new Error(`PROMPT_VERSIONS pins ${id} to v${pinned}, but ${promptDir} has no v${pinned}.txt`);
+    }
+
+    prompts.set(id, {
+      versions,
+      active: pinned ?? Math.max(...versions.keys()),
+      pinned: pinned !== undefined,
+    });
+  }
+
+  for (const id of Object.keys(env.prompts.versions)) {
+    if (!prompts.has(id)) {
+      throw new Error(`PROMPT_VERSIONS pins unknown prompt "${id}"`);
+    }
+  }
+
+  return prompts;
+}
+
+function getRegistry() {
+  if (!registry) {
+    registry = loadPrompts(path.resolve(env.prompts.dir || DEFAULT_PROMPTS_DIR));
+  }
+  return registry;
+}
+
+export const promptRegistry = {
+  /**
+   * Active version of a prompt
+   * Returns { id, version, content }
+   */
+  get(id) {
+    const prompt = getRegistry().get(id);
+    if (!prompt) {
+      throw new Error(`Unknown prompt: ${id}`);
+    }
+    return { id, version: prompt.active, content: prompt.versions.get(prompt.active) };
+  },
+
+  /**
+   * A specific version of a prompt, or null when it does not exist
+   */
+  getVersion(id, version) {
+    const content = getRegistry().get(id)?.versions.get(version);
+    return content === undefined ? null : { id, version, content };
+  },
+
+  /**
+   * Every prompt with its active and available versions
+   */
+  list() {
+    return [...getRegistry()].map(([id, prompt]) => ({
+      id,
+      activeVersion: prompt.active,
+      pinned: prompt.pinned,
+      versions: [...prompt.versions.keys()].sort((a, b) => a - b),
+    }));
+  },
+
+  has(id) {
+    return getRegistry().has(id);
+  },
+
+  /**
+   * The prompt version with exactly this text, or null
+   */
+  findByContent(content) {
+    for (const [id, prompt] of getRegistry()) {
+      for (const [version, text] of prompt.versions) {
+        if (text === content) return { id, version };
+      }
+    }
+    return null;
+  },
+};
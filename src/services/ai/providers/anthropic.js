@@ -0,0 +1,223 @@
+/**
+ * Anthropic-style Messages API provider adapter.
+ * Talks to the HTTP API directly - no SDK required.
+ *
+ * The Messages API differs from chat completions:
+ * - system text is a separate field, so every system message is hoisted there
+ * - turns must alternate and start with the user, so same-role turns are merged
+ * - there is no JSON mode, so JSON requests get an instruction and a "{" prefill
+ *   (no prefill while tools are offered - it would stop the model calling them)
+ * - tool calls and results are content blocks (tool_use / tool_result)
+ */
+
+const API_VERSION = '2023-06-01';
+
+const JSON_INSTRUCTION = 'Respond with a single valid JSON object and nothing else.';
+
+// HTTP statuses mapped to the error codes services already handle
+const ERROR_CODES = {
+  401: 'invalid_api_key',
+  429: 'rate_limit_exceeded',
+};
+
+/**
+ * Map a provider message to a Messages API turn - tool results are user turns
+ */
+function toTurn({ role, content, toolCalls, toolCallId }) {
+  if (role === 'tool') {
+    return { role: 'user', content: [{ type: 'tool_result', tool_use_id: toolCallId, content }] };
+  }
+  if (toolCalls?.length) {
+    return {
+      role,
+      content: [
+        ...(content ? [{ type: 'text', text: content }] : []),
+        ...toolCalls.map(({ id, name, arguments: input }) => ({ type: 'tool_use', id, name, input })),
+      ],
+    };
+  }
+  return { role, content };
+}
+
+const toBlocks = (content) => (typeof content === 'string' ? [{ type: 'text', text: content }] : content);
+
+/**
+ * Split chat messages into the system text and alternating turns
+ */
+function toMessagesPayload(messages, { json, prefill }) {
+  const system = messages
+    .filter((m) => m.role === 'system')
+    .map((m) => m.content);
+
+  const turns = [];
+  for (const turn of messages.filter((m) => m.role !== 'system').map(toTurn)) {
+    const last = turns[turns.length - 1];
+    if (last && last.role === turn.role) {
+      last.content = typeof last.content === 'string' && typeof turn.content === 'string'
+        ? `${last.content}\n\n${turn.content}`
+        : [...toBlocks(last.content), ...toBlocks(turn.content)];
+    } else {
+      turns.push(turn);
+    }
+  }
+
+  if (turns.length === 0 || turns[0].role !== 'user') {
+    turns.unshift({ role: 'user', content: '(continue)' });
+  }
+
+  if (json) {
+    system.push(JSON_INSTRUCTION);
+  }
+  if (prefill) {
+    turns.push({ role: 'assistant', content: '{' });
+  }
+
+  return { system: system.join('\n\n'), messages: turns };
+}
+
+// JSON requests are prefilled with "{" unless tools are offered
+const usesPrefill = (request) => Boolean(request.json) && !(request.tools?.length > 0);
+
+/**
+ * Build an error carrying the HTTP status and a normalized code
+ */
+async function toProviderError(response) {
+  let detail = null;
+  try {
+    detail = (await response.json()).error;
+  } catch {
+    // Body was not JSON
+  }
+
+  const error = new Error(detail?.message || `Anthropic API error (${response.status})`);
+  error.status = response.status;
+  error.code = ERROR_CODES[response.status] || detail?.type || 'api_error';
+  // Keeps retry-after for the resilience layer
+  error.headers = Object.fromEntries(response.headers);
+  return error;
+}
+
+/**
+ * Parse Server-Sent Events from a fetch response body
+ */
+async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = raw
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trim())
+        .join('');
+      if (data) {
+        yield JSON.parse(data);
+      }
+    }
+  }
+}
+
+export function createAnthropicProvider({ name = 'anthropic', apiKey, baseUrl, model }) {
+  const post = async (request, stream) => {
+    const payload = toMessagesPayload(request.messages, { json: request.json, prefill: usesPrefill(request) });
+
+    // temperature only - newer models reject temperature and top_p together
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/v1/messages`, {
+      method: 'POST',
+      signal: request.signal,
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': API_VERSION,
+      },
+      body: JSON.stringify({
+        model: request.model || model,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        system: payload.system || undefined,
+        messages: payload.messages,
+        tools: request.tools?.length
+          ? request.tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters }))
+          : undefined,
+        stream,
+      }),
+    }).catch((error) => {
+      // Network failure - no response at all
+      error.code = error.code || error.cause?.code || 'connection_error';
+      throw error;
+    });
+
+    if (!response.ok) {
+      throw await toProviderError(response);
+    }
+
+    return response;
+  };
+
+  // The "{" prefill is part of the answer
+  const withPrefill = (request, text) => (usesPrefill(request) ? `{${text}` : text);
+
+  return {
+    name,
+    model,
+
+    async chat(request) {
+      const response = await post(request, false);
+      const data = await response.json();
+
+      const blocks = data.content || [];
+      const text = blocks
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('');
+
+      return {
+        content: withPrefill(request, text).trim(),
+        usage: data.usage
+          ? { promptTokens: data.usage.input_tokens, completionTokens: data.usage.output_tokens }
+          : null,
+        provider: name,
+        model: data.model || request.model || model,
+        toolCalls: blocks
+          .filter((block) => block.type === 'tool_use')
+          .map(({ id, name: toolName, input }) => ({ id, name: toolName, arguments: input })),
+      };
+    },
+
+    async stream(request, onDelta) {
+      const response = await post(request, true);
+
+      let content = '';
+      const usage = { promptTokens: 0, completionTokens: 0 };
+
+      for await (const event of readEvents(response.body)) {
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          content += event.delta.text;
+          onDelta(event.delta.text);
+        } else if (event.type === 'message_start') {
+          usage.promptTokens = event.message?.usage?.input_tokens || 0;
+        } else if (event.type === 'message_delta') {
+          usage.completionTokens = event.usage?.output_tokens || 0;
+        } else if (event.type === 'error') {
+          const error = new Error(event.error?.message || 'Anthropic stream error');
+          error.code = event.error?.type || 'api_error';
+          throw error;
+        }
+      }
+
+      return {
+        content: withPrefill(request, content).trim(),
+        usage,
+        provider: name,
+        model: request.model || model,
+      };
+    },
+  };
+}
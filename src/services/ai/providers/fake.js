@@ -0,0 +1,328 @@
+/**
+ * Fake provider adapter for offline development and tests.
+ * Never touches the network and always answers the same input the same way.
+ *
+ * Replies come from, in order:
+ * 1. fixtures - a JSON file mapping inputs to replies (FAKE_AI_FIXTURES)
+ * 2. rules - a valid, phase-appropriate reply built from the user's words
+ *
+ * Decision requests that offer tools first call the first tool that takes no
+ * arguments (once), then mention the pending tasks it reported, if any.
+ * Clarity checks ask for clarification when the input has fewer than
+ * FAKE_CLEAR_INPUT_WORDS words.
+ *
+ * Failures can be injected to exercise regeneration and error paths:
+ * - malformed_json: a reply cut off mid-JSON
+ * - phase_violation: a reply that breaks the phase rules (lists, advice, questions)
+ * - rate_limit: throws a 429 'rate_limit_exceeded' error
+ * - server_error: throws a 500 'api_error' error
+ * Configure with FAKE_AI_FAILURE (+ FAKE_AI_FAILURE_COUNT to fail only the
+ * first N calls), per fixture, or at runtime with failNext().
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PHASES } from '../../../models/session.model.js';
+import { findPhaseByPrompt } from '../phasePrompts.js';
+import { promptRegistry } from '../promptRegistry.js';
+import { SYSTEM_PROMPT_ID, CLARITY_PROMPT_ID } from '../promptBuilder.js';
+import { summaryService } from '../../memory/summaryService.js';
+import { estimateMessagesTokens, estimateTokens } from '../../../utils/tokenEstimator.js';
+
+export const FAKE_FAILURES = ['malformed_json', 'phase_violation', 'rate_limit', 'server_error'];
+
+// Request kinds besides the phases
+const DECISION_KIND = 'decision';
+const CLARITY_CHECK_KIND = 'clarity_check';
+const OTHER_KIND = 'other';
+
+// Clarity checks pass input with at least this many words
+const FAKE_CLEAR_INPUT_WORDS = 6;
+
+const MALFORMED_JSON = '{"message": "This reply was cut off';
+
+// Breaks the list, advice, next-step and question rules at once
+const VIOLATION_TEXT = 'You should make a plan.\n- First step: start today?\n- What else is on your mind?';
+
+/**
+ * Work out what a request is for from its system prompt
+ */
+function detectKind(messages) {
+  const systemPrompt = messages.find((m) => m.role === 'system')?.content;
+
+  // Any version of a prompt counts - experiments serve several at once
+  const phase = findPhaseByPrompt(systemPrompt);
+  if (phase) return phase;
+
+  const promptId = promptRegistry.findByContent(systemPrompt)?.id;
+  if (promptId === SYSTEM_PROMPT_ID) return DECISION_KIND;
+  if (promptId === CLARITY_PROMPT_ID) return CLARITY_CHECK_KIND;
+
+  return OTHER_KIND;
+}
+
+/**
+ * Pick the most telling word of the user's input to echo back
+ */
+function extractTopic(text) {
+  const words = (text || '')
+    .replace(/^[A-Z][A-Z ]+:/gm, '') // prompt labels such as "USER INPUT:"
+    .toLowerCase()
+    .split(/[^a-z']+/)
+    .filter((w) => w.length > 4 && !summaryService.isStopWord(w));
+
+  return words.sort((a, b) => b.length - a.length)[0] || 'this';
+}
+
+/**
+ * Map "done with 2", "skip 3", "started 1" to EXECUTION task updates
+ */
+function extractTaskUpdates(text) {
+  const patterns = [
+    { status: 'completed', regex: /\b(?:done|finished|completed)\D*(\d+)/gi },
+    { status: 'skipped', regex: /\bskip\w*\D*(\d+)/gi },
+    { status: 'in_progress', regex: /\bstart\w*\D*(\d+)/gi },
+  ];
+
+  return patterns.flatMap(({ status, regex }) =>
+    [...(text || '').matchAll(regex)].map((match) => ({ task: parseInt(match[1], 10), status }))
+  );
+}
+
+/**
+ * Rule-based replies - valid for responseParser and the phase rules
+ */
+const RULE_REPLIES = {
+  [PHASES.DUMP]: (topic) =>
+    `There is a lot here, and ${topic} keeps coming up.\nIt makes sense that this feels heavy.\nAll of it can sit here for now.`,
+
+  [PHASES.CLARITY]: (topic) =>
+    `It sounds like the core problem is ${topic}.\nEverything else seems to orbit around it.`,
+
+  [PHASES.DECISION]: (topic) => ({
+    outcome: 'commit',
+    decision: `Focus on ${topic} first`,
+    defer_until: null,
+    reason: 'It is the thread everything else depends on.',
+    message: `Let's commit to focusing on ${topic} first.\nThe rest can wait until that is moving.`,
+  }),
+
+  [PHASES.PLANNING]: (topic) => ({
+    tasks: [
+      { title: `Write down what done looks like for ${topic}`, priority: 1 },
+      { title: `Block 30 minutes to start on ${topic}`, priority: 2 },
+    ],
+    message: 'Here are two small steps that serve the decision.',
+  }),
+
+  [PHASES.EXECUTION]: (topic, text) => {
+    const taskUpdates = extractTaskUpdates(text);
+    return {
+      task_updates: taskUpdates,
+      message: taskUpdates.length > 0 ? 'Noted, your list is updated.' : 'Noted. Keep going at your own pace.',
+    };
+  },
+
+  [DECISION_KIND]: (topic, text, json, toolResults) => {
+    const pending = toolResults.find((result) => result.total > 0)?.total;
+    return {
+      decision: `Focus on ${topic} first`,
+      reasoning: pending
+        ? `It is the thread everything else depends on, and you already have ${pending} pending tasks.`
+        : 'It is the thread everything else depends on.',
+      tasks: [
+        { title: `Write down what done looks like for ${topic}`, priority: 1 },
+        { title: `Block 30 minutes to start on ${topic}`, priority: 2 },
+      ],
+      alignment_check: 'Are we aligned, or should we challenge this before moving on?',
+    };
+  },
+
+  [CLARITY_CHECK_KIND]: (topic, text) => {
+    const words = text.replace(/^[A-Z][A-Z ]+:/gm, '').split(/\s+/).filter(Boolean);
+    return words.length < FAKE_CLEAR_INPUT_WORDS
+      ? { needs_clarification: true, question: `What makes ${topic} hard to decide right now?` }
+      : { needs_clarification: false, question: null };
+  },
+
+  [OTHER_KIND]: (topic, text, json) =>
+    (json ? { status: 'ok', message: `The user talked about ${topic}.` } : `The user talked about ${topic}.`),
+};
+
+/**
+ * Parsed results of the tool turns in a conversation
+ */
+function readToolResults(messages) {
+  return messages
+    .filter((m) => m.role === 'tool')
+    .map((m) => {
+      try {
+        return JSON.parse(m.content) || {};
+      } catch {
+        return {};
+      }
+    });
+}
+
+/**
+ * The tool call a decision request starts with, if it offers tools
+ */
+function pickToolCalls(request, kind) {
+  if (kind !== DECISION_KIND || !request.tools?.length) return [];
+  if (request.messages.some((m) => m.role === 'tool')) return [];
+
+  const tool = request.tools.find((t) => !t.parameters?.required?.length);
+  return tool ? [{ id: 'fake_call_1', name: tool.name, arguments: {} }] : [];
+}
+
+/**
+ * Load fixtures: { "replies": [{ kind?, match?, reply?, failure? }] }
+ * - kind: a phase, "decision", "clarity_check" or "other" (any kind if omitted)
+ * - match: case-insensitive substring of the last user message, or "/regex/flags"
+ * - reply: text, or an object sent as JSON
+ * - failure: inject this failure instead of replying
+ */
+export function loadFixtures(fixturesPath) {
+  if (!fixturesPath) return [];
+
+  const resolved = path.resolve(fixturesPath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Fake AI fixtures not found: ${resolved}`);
+  }
+
+  const { replies = [] } = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+
+  return replies.map((fixture) => {
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(fixture.match || '');
+    return {
+      ...fixture,
+      test: regex
+        ? (text) => new RegExp(regex[1], regex[2]).test(text)
+        : (text) => !fixture.match || text.toLowerCase().includes(fixture.match.toLowerCase()),
+    };
+  });
+}
+
+/**
+ * Build the error a real provider would throw
+ */
+function toFailureError(failure) {
+  return failure === 'rate_limit'
+    ? Object.assign(new Error('Rate limit reached (fake provider)'), {
+      status: 429,
+      code: 'rate_limit_exceeded',
+      headers: { 'retry-after': '1' },
+    })
+    : Object.assign(new Error('Upstream error (fake provider)'), { status: 500, code: 'api_error' });
+}
+
+export function createFakeProvider({
+  name = 'fake',
+  model = 'fake-1',
+  fixturesPath = null,
+  failure = null,
+  failureCount = null,
+} = {}) {
+  const fixtures = loadFixtures(fixturesPath);
+
+  if (failure && !FAKE_FAILURES.includes(failure)) {
+    throw new Error(`Unknown FAKE_AI_FAILURE "${failure}". Use one of: ${FAKE_FAILURES.join(', ')}`);
+  }
+
+  // Configured failure: every call, or only the first failureCount calls
+  let pendingFailure = failure;
+  let pendingCount = failureCount;
+
+  const takeFailure = () => {
+    if (!pendingFailure) return null;
+
+    const current = pendingFailure;
+    if (pendingCount !== null) {
+      pendingCount -= 1;
+      if (pendingCount <= 0) {
+        pendingFailure = null;
+        pendingCount = null;
+      }
+    }
+    return current;
+  };
+
+  const respond = (request) => {
+    const kind = detectKind(request.messages);
+    const text = [...request.messages].reverse().find((m) => m.role === 'user')?.content || '';
+
+    const fixture = fixtures.find((f) => (!f.kind || f.kind === kind) && f.test(text));
+    const failureMode = takeFailure() || fixture?.failure || null;
+
+    if (failureMode === 'rate_limit' || failureMode === 'server_error') {
+      throw toFailureError(failureMode);
+    }
+    if (failureMode === 'malformed_json') {
+      return MALFORMED_JSON;
+    }
+
+    const reply = fixture?.reply !== undefined
+      ? fixture.reply
+      : RULE_REPLIES[kind](extractTopic(text), text, request.json, readToolResults(request.messages));
+
+    if (failureMode === 'phase_violation') {
+      return typeof reply === 'string' ? VIOLATION_TEXT : JSON.stringify({ ...reply, message: VIOLATION_TEXT });
+    }
+
+    return typeof reply === 'string' ? reply : JSON.stringify(reply);
+  };
+
+  const toResult = (request, content) => ({
+    content: content.trim(),
+    usage: {
+      promptTokens: estimateMessagesTokens(request.messages),
+      completionTokens: estimateTokens(content),
+    },
+    provider: name,
+    model: request.model || model,
+  });
+
+  return {
+    name,
+    model,
+
+    async chat(request) {
+      const toolCalls = pickToolCalls(request, detectKind(request.messages));
+      if (toolCalls.length > 0) {
+        return { ...toResult(request, ''), toolCalls };
+      }
+
+      return { ...toResult(request, respond(request)), toolCalls: [] };
+    },
+
+    async stream(request, onDelta) {
+      const content = respond(request);
+
+      // Word-sized chunks, like a real token stream
+      for (const chunk of content.split(/(?<=\s)/)) {
+        onDelta(chunk);
+      }
+
+      return toResult(request, content);
+    },
+
+    /**
+     * Fail the next `count` calls with the given failure (tests)
+     */
+    failNext(mode, count = 1) {
+      if (!FAKE_FAILURES.includes(mode)) {
+        throw new Error(`Unknown fake failure "${mode}". Use one of: ${FAKE_FAILURES.join(', ')}`);
+      }
+      pendingFailure = mode;
+      pendingCount = count;
+    },
+
+    /**
+     * Clear injected failures
+     */
+    reset() {
+      pendingFailure = null;
+      pendingCount = null;
+    },
+  };
+}
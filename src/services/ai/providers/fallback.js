@@ -0,0 +1,75 @@
+/**
+ * Provider Fallback Chain
+ *
+ * Tries an ordered list of providers (AI_PROVIDERS, see env.js) and moves
+ * to the next one when a provider is unavailable - its retries ran out or
+ * its circuit is open. Every member is already wrapped by withResilience.
+ *
+ * Errors the provider answered with (bad request, invalid key, ...) are
+ * not failed over: the next provider would most likely reject them too.
+ *
+ * The result names the provider and model that actually answered.
+ */
+
+import { Errors } from '../../../middlewares/error.middleware.js';
+import { isProviderUnavailable } from '../resilience.js';
+
+const describe = (provider) => `${provider.name}/${provider.model}`;
+
+// A per-call model override names a model of the primary provider only
+const requestFor = (request, index) => (index === 0 ? request : { ...request, model: undefined });
+
+/**
+ * Create a provider that fails over across `providers`, in order
+ */
+export function createFallbackChain(providers) {
+  /**
+   * Run one call down the chain
+   * `canFailOver` lets streaming stop once tokens were delivered
+   */
+  const run = async (invoke, canFailOver = () => true) => {
+    let lastError = null;
+
+    for (const [index, provider] of providers.entries()) {
+      try {
+        return await invoke(provider, index);
+      } catch (error) {
+        if (!isProviderUnavailable(error) || !canFailOver()) {
+          throw error;
+        }
+
+        lastError = error;
+        const next = providers[index + 1];
+        if (next) {
+          console.warn(`[ai] ${describe(provider)} unavailable (${error.message}): falling back to ${describe(next)}`);
+        }
+      }
+    }
+
+    const exhausted = Errors.aiService('All AI providers are unavailable. Please try again in a moment.');
+    exhausted.cause = lastError;
+    throw exhausted;
+  };
+
+  return {
+    name: 'fallback',
+    model: providers[0].model,
+    members: providers.map((provider) => ({ provider: provider.name, model: provider.model })),
+
+    async chat(request) {
+      return run((provider, index) => provider.chat(requestFor(request, index)));
+    },
+
+    async stream(request, onDelta) {
+      // Tokens already shown to the user cannot be taken back
+      let streamed = false;
+      return run(
+        (provider, index) => provider.stream(requestFor(request, index), (delta) => {
+          streamed = true;
+          onDelta(delta);
+        }),
+        () => !streamed
+      );
+    },
+  };
+}
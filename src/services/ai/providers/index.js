@@ -0,0 +1,93 @@
+/**
+ * LLM Provider Registry
+ *
+ * Every provider adapter shares one interface:
+ *
+ * - chat(request) → { content, usage, provider, model, toolCalls }
+ * - stream(request, onDelta) → same result; onDelta(text) is called per token
+ *
+ * request: { messages, temperature, maxTokens, topP, json, model, signal, cache, tools }
+ * - messages: [{ role: 'system' | 'user' | 'assistant', content }]
+ *   plus tool turns: { role: 'assistant', content, toolCalls } and { role: 'tool', toolCallId, content }
+ * - json: ask for a single JSON object (JSON mode where supported)
+ * - tools: [{ name, description, parameters }] the model may call (chat only);
+ *   JSON mode is left off while tools are offered - many servers reject both
+ * - model: overrides the configured model for one call
+ * - signal: AbortSignal - adapters abort the HTTP call when it fires
+ * - cache: false skips the response cache (see responseCache.js)
+ * usage: { promptTokens, completionTokens } or null when not reported
+ * toolCalls: [{ id, name, arguments }] - the tools the model asked for (chat only, may be empty)
+ * getProvider() results also carry `cached` - answered from the response cache
+ *
+ * The active provider comes from configuration only (AI_PROVIDER, see env.js).
+ * AI_PROVIDERS lists several provider:model pairs tried in order (fallback.js).
+ * AI_PROVIDER=fake runs fully offline.
+ */
+
+import { env } from '../../../config/env.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createFakeProvider } from './fake.js';
+import { createFallbackChain } from './fallback.js';
+import { withResilience } from '../resilience.js';
+import { withCache } from '../responseCache.js';
+
+const PROVIDER_FACTORIES = {
+  openai: (config) => createOpenAICompatibleProvider({ name: 'openai', ...config }),
+  groq: (config) => createOpenAICompatibleProvider({ name: 'groq', ...config }),
+  'openai-compatible': (config) => createOpenAICompatibleProvider({ name: 'openai-compatible', ...config }),
+  anthropic: (config) => createAnthropicProvider({ name: 'anthropic', ...config }),
+  // Offline - scripted and rule-based replies, see fake.js
+  fake: (config) => createFakeProvider({ name: 'fake', model: config.model, ...config.fake }),
+};
+
+// Providers that cannot be called without a key
+const KEY_REQUIRED = ['openai', 'groq', 'anthropic'];
+
+// Providers that never call out over HTTP
+const OFFLINE = ['fake'];
+
+export const PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+
+/**
+ * Create a provider adapter from an AI config ({ provider, apiKey, baseUrl, model })
+ */
+export function createProvider(config) {
+  if (!config.provider) {
+    throw new Error('AI provider is not configured. Please set GROQ_API_KEY, OPENAI_API_KEY or ANTHROPIC_API_KEY (or AI_PROVIDER) in your .env file.');
+  }
+
+  const factory = PROVIDER_FACTORIES[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown AI_PROVIDER "${config.provider}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  if (KEY_REQUIRED.includes(config.provider) && !config.apiKey) {
+    throw new Error(`AI API key is not configured for ${config.provider}. Please set it in your .env file.`);
+  }
+
+  if (!OFFLINE.includes(config.provider) && (!config.baseUrl || !config.model)) {
+    throw new Error(`AI_BASE_URL and AI_MODEL are required for the ${config.provider} provider.`);
+  }
+
+  return factory(config);
+}
+
+// Lazy initialization - only create the provider when first needed
+let provider = null;
+
+/**
+ * Get the configured provider
+ * Each chain member is wrapped with timeouts, retries and a circuit breaker
+ * (see resilience.js); more than one member fails over in order.
+ * With AI_CACHE_ENABLED, identical requests are answered from the cache first.
+ */
+export const getProvider = () => {
+  if (!provider) {
+    const chain = env.aiChain.length > 0 ? env.aiChain : [env.ai];
+    const members = chain.map((config) => withResilience(createProvider(config), env.resilience));
+    const resilient = members.length === 1 ? members[0] : createFallbackChain(members);
+    provider = env.cache.enabled ? withCache(resilient, env.cache) : resilient;
+  }
+  return provider;
+};
@@ -0,0 +1,164 @@
+/**
+ * OpenAI-compatible provider adapter.
+ * Serves OpenAI, Groq and any server exposing the OpenAI chat API
+ * (for example a self-hosted local model server).
+ */
+
+import OpenAI from 'openai';
+
+// Local servers often ignore the key, but the SDK requires one
+const PLACEHOLDER_API_KEY = 'not-needed';
+
+/**
+ * Map a provider message, tool turns included, to a chat completion message
+ */
+function toChatMessage({ role, content, toolCalls, toolCallId }) {
+  if (role === 'tool') {
+    return { role, tool_call_id: toolCallId, content };
+  }
+  if (toolCalls?.length) {
+    return {
+      role,
+      content: content || null,
+      tool_calls: toolCalls.map(({ id, name, arguments: args }) => ({
+        id,
+        type: 'function',
+        function: { name, arguments: JSON.stringify(args) },
+      })),
+    };
+  }
+  return { role, content };
+}
+
+/**
+ * Map a provider request to chat completion parameters
+ */
+function toCompletionParams(request, defaultModel) {
+  const hasTools = request.tools?.length > 0;
+
+  return {
+    model: request.model || defaultModel,
+    messages: request.messages.map(toChatMessage),
+    temperature: request.temperature,
+    max_tokens: request.maxTokens,
+    top_p: request.topP,
+    ...(request.json && !hasTools && { response_format: { type: 'json_object' } }),
+    ...(hasTools && {
+      tools: request.tools.map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters },
+      })),
+    }),
+  };
+}
+
+/**
+ * Map SDK tool calls to the provider shape
+ * Arguments that are not valid JSON are passed on as the raw string
+ */
+function toToolCalls(toolCalls = []) {
+  return toolCalls.map(({ id, function: fn }) => {
+    let args = fn.arguments;
+    try {
+      args = JSON.parse(fn.arguments || '{}');
+    } catch {
+      // Left as the raw string - the caller reports it back to the model
+    }
+    return { id, name: fn.name, arguments: args };
+  });
+}
+
+/**
+ * Map SDK usage to the provider usage shape
+ */
+function toUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens,
+  };
+}
+
+/**
+ * Run an SDK call, marking network failures (no HTTP status) as connection errors
+ */
+async function callSdk(invoke) {
+  try {
+    return await invoke();
+  } catch (error) {
+    if (error.status === undefined && !error.code) {
+      error.code = 'connection_error';
+    }
+    throw error;
+  }
+}
+
+export function createOpenAICompatibleProvider({ name, apiKey, baseUrl, model }) {
+  let client = null;
+
+  // Lazy initialization - only create the client on first use
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({
+        apiKey: apiKey || PLACEHOLDER_API_KEY,
+        baseURL: baseUrl,
+        // Retries and timeouts are handled by the resilience layer
+        maxRetries: 0,
+      });
+    }
+    return client;
+  };
+
+  return {
+    name,
+    model,
+
+    async chat(request) {
+      const params = toCompletionParams(request, model);
+      const completion = await callSdk(() =>
+        getClient().chat.completions.create(params, { signal: request.signal })
+      );
+
+      const message = completion.choices[0]?.message;
+      return {
+        content: message?.content?.trim() || '',
+        usage: toUsage(completion.usage),
+        provider: name,
+        model: completion.model || params.model,
+        toolCalls: toToolCalls(message?.tool_calls),
+      };
+    },
+
+    async stream(request, onDelta) {
+      const params = toCompletionParams(request, model);
+      // OpenAI only reports streamed usage when asked; other servers may reject the option
+      const streamOptions = name === 'openai' ? { stream_options: { include_usage: true } } : {};
+      const stream = await callSdk(() =>
+        getClient().chat.completions.create({ ...params, ...streamOptions, stream: true }, { signal: request.signal })
+      );
+
+      let content = '';
+      let usage = null;
+      for await (const chunk of stream) {
+        // The usage-only chunk has no choices
+        const delta = chunk.choices?.[0]?.delta?.content || '';
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+        // Usage arrives on the final chunk (Groq nests it under x_groq)
+        const chunkUsage = chunk.usage || chunk.x_groq?.usage;
+        if (chunkUsage) {
+          usage = toUsage(chunkUsage);
+        }
+      }
+
+      return {
+        content: content.trim(),
+        usage,
+        provider: name,
+        model: params.model,
+      };
+    },
+  };
+}
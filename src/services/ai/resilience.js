@@ -0,0 +1,268 @@
+/**
+ * LLM Call Resilience
+ *
+ * Wraps a provider adapter (see providers/index.js) so every call gets:
+ * - a per-call timeout
+ * - retries with exponential backoff and full jitter, honoring Retry-After
+ * - a circuit breaker per provider that fails fast while it is down
+ *
+ * Exhausted retries and an open circuit surface as Errors.aiService (503).
+ * Non-retryable errors (bad request, invalid key, quota) pass through untouched.
+ */
+
+import { AppError, Errors } from '../../middlewares/error.middleware.js';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',       // Calls flow normally
+  OPEN: 'open',           // Failing fast until the cooldown ends
+  HALF_OPEN: 'half_open', // One trial call decides whether to close again
+};
+
+// Failures without an HTTP status that are worth retrying
+const NETWORK_ERROR_CODES = [
+  'connection_error', 'timeout',
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE',
+];
+
+/**
+ * Check whether a failed call may succeed if repeated
+ */
+export function isRetryable(error) {
+  if (error.code === 'insufficient_quota') return false;
+
+  if (error.status) {
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+
+  return NETWORK_ERROR_CODES.includes(error.code) || NETWORK_ERROR_CODES.includes(error.cause?.code);
+}
+
+/**
+ * Read Retry-After (seconds or HTTP date) or retry-after-ms from error headers
+ * Returns null when the provider gave no hint
+ */
+export function getRetryAfterMs(error) {
+  const headers = error.headers || {};
+
+  const ms = parseFloat(headers['retry-after-ms']);
+  if (!Number.isNaN(ms)) return ms;
+
+  const value = headers['retry-after'];
+  if (!value) return null;
+
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt
+ * Retry-After wins; otherwise exponential backoff with full jitter
+ */
+export function getBackoffMs(attempt, error, options) {
+  const retryAfter = getRetryAfterMs(error);
+  if (retryAfter !== null) return retryAfter;
+
+  const exponential = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+  return Math.random() * exponential;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run a call with a timeout
+ * The call receives an AbortSignal that fires when time is up.
+ */
+async function withTimeout(invoke, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(Object.assign(new Error(`AI provider timed out after ${timeoutMs}ms`), { status: 408, code: 'timeout' }));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([invoke(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Create a circuit breaker
+ * Opens after `failureThreshold` consecutive retryable failures and
+ * lets one trial call through once `cooldownMs` has passed.
+ */
+export function createCircuitBreaker(name, { failureThreshold, cooldownMs }) {
+  let state = CIRCUIT_STATES.CLOSED;
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  const cooledDown = () => Date.now() - openedAt >= cooldownMs;
+
+  return {
+    name,
+
+    /**
+     * Check whether a call may go through now
+     */
+    canRequest() {
+      if (state === CIRCUIT_STATES.OPEN && cooledDown()) {
+        state = CIRCUIT_STATES.HALF_OPEN;
+        trialInFlight = false;
+      }
+
+      if (state === CIRCUIT_STATES.CLOSED) return true;
+
+      if (state === CIRCUIT_STATES.HALF_OPEN && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+
+      return false;
+    },
+
+    recordSuccess() {
+      state = CIRCUIT_STATES.CLOSED;
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    recordFailure() {
+      failures += 1;
+      if (state === CIRCUIT_STATES.HALF_OPEN || failures >= failureThreshold) {
+        state = CIRCUIT_STATES.OPEN;
+        openedAt = Date.now();
+        trialInFlight = false;
+      }
+    },
+
+    getState() {
+      const current = state === CIRCUIT_STATES.OPEN && cooledDown() ? CIRCUIT_STATES.HALF_OPEN : state;
+      return {
+        name,
+        state: current,
+        consecutiveFailures: failures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: current === CIRCUIT_STATES.OPEN ? new Date(openedAt + cooldownMs).toISOString() : null,
+      };
+    },
+  };
+}
+
+// One breaker per provider/model pair, shared by every caller
+const breakers = new Map();
+
+/**
+ * Get (or create) the breaker for a provider ("groq:llama-3.3-70b-versatile")
+ */
+export function getCircuitBreaker(name, options) {
+  if (!breakers.has(name)) {
+    breakers.set(name, createCircuitBreaker(name, options));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Get the state of every breaker, for health reporting
+ */
+export function getCircuitStates() {
+  return Array.from(breakers.values()).map((breaker) => breaker.getState());
+}
+
+/**
+ * Turn a final retryable failure into a 503
+ */
+function toServiceError(providerName, error) {
+  const reason = {
+    rate_limit_exceeded: 'is rate limited',
+    timeout: 'timed out',
+  }[error.code] || 'is unavailable';
+
+  const serviceError = Errors.aiService(`AI provider ${providerName} ${reason}. Please try again in a moment.`);
+  serviceError.cause = error;
+  return serviceError;
+}
+
+/**
+ * Whether a wrapped provider gave up on a call (retries exhausted or circuit open)
+ * These are the failures worth sending to the next provider in a fallback chain
+ */
+export function isProviderUnavailable(error) {
+  return error instanceof AppError && error.code === 'AI_SERVICE_ERROR';
+}
+
+/**
+ * Wrap a provider with timeouts, retries and a circuit breaker
+ *
+ * options: { timeoutMs, maxRetries, baseDelayMs, maxDelayMs, maxRetryAfterMs,
+ *            breakerThreshold, breakerCooldownMs }
+ */
+export function withResilience(provider, options) {
+  const breaker = getCircuitBreaker(`${provider.name}:${provider.model}`, {
+    failureThreshold: options.breakerThreshold,
+    cooldownMs: options.breakerCooldownMs,
+  });
+
+  /**
+   * Run one call with retries
+   * `canRetry` lets streaming stop retrying once tokens were delivered
+   */
+  const run = async (invoke, canRetry = () => true) => {
+    for (let attempt = 1; ; attempt++) {
+      if (!breaker.canRequest()) {
+        throw Errors.aiService(`AI provider ${provider.name} is temporarily unavailable. Please try again shortly.`);
+      }
+
+      try {
+        const result = await withTimeout(invoke, options.timeoutMs);
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (!isRetryable(error)) {
+          // The provider answered - it is up, the request was at fault
+          breaker.recordSuccess();
+          throw error;
+        }
+
+        breaker.recordFailure();
+
+        const delay = getBackoffMs(attempt, error, options);
+        const retry = attempt <= options.maxRetries && delay <= options.maxRetryAfterMs && canRetry();
+        if (!retry) {
+          throw toServiceError(provider.name, error);
+        }
+
+        console.warn(`[ai] ${provider.name} attempt ${attempt} failed (${error.code || error.status}): retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  return {
+    ...provider,
+
+    async chat(request) {
+      return run((signal) => provider.chat({ ...request, signal }));
+    },
+
+    async stream(request, onDelta) {
+      // Tokens already shown to the user cannot be taken back
+      let streamed = false;
+      return run(
+        (signal) => provider.stream({ ...request, signal }, (delta) => {
+          streamed = true;
+          onDelta(delta);
+        }),
+        () => !streamed
+      );
+    },
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * LLM Response Cache
+ *
+ * Opt-in (AI_CACHE_ENABLED=true) provider wrapper that answers identical
+ * requests from the cache. The key is a hash of the model, messages and
+ * sampling parameters, so any change to the prompt or settings misses.
+ *
+ * Requests with `cache: false` always go to the provider - phases above
+ * AI_CACHE_MAX_PHASE_TEMPERATURE opt out this way (see sessionService).
+ * Requests may pass `validate(content) => boolean`: replies it rejects are
+ * neither stored nor served, so a reply that needed regenerating is not
+ * replayed on the next identical request.
+ * Results carry `cached: true | false`. Cache failures never fail a call.
+ */
+
+import { createHash } from 'crypto';
+import { ResponseCacheModel } from '../../models/responseCache.model.js';
+
+/**
+ * Hash everything that shapes the model's answer
+ */
+export function getCacheKey(provider, request) {
+  const material = {
+    provider: provider.name,
+    model: request.model || provider.model,
+    messages: request.messages.map(({ role, content }) => ({ role, content })),
+    temperature: request.temperature ?? null,
+    maxTokens: request.maxTokens ?? null,
+    topP: request.topP ?? null,
+    json: Boolean(request.json),
+  };
+
+  return createHash('sha256').update(JSON.stringify(material)).digest('hex');
+}
+
+/**
+ * Wrap a provider with the response cache
+ *
+ * options: { ttlSeconds }
+ */
+export function withCache(provider, options, store = ResponseCacheModel) {
+  const lookup = async (key) => {
+    try {
+      return await store.get(key);
+    } catch (error) {
+      console.warn('[cache] Lookup failed, calling the provider:', error.message);
+      return null;
+    }
+  };
+
+  const save = async (key, result) => {
+    try {
+      await store.set(key, result, options.ttlSeconds);
+    } catch (error) {
+      console.warn('[cache] Store failed:', error.message);
+    }
+  };
+
+  const accepts = (request, content) => !request.validate || request.validate(content);
+
+  // Cache what the provider answered, never the empty or rejected replies
+  const remember = async (key, request, result) => {
+    if (result.content && accepts(request, result.content)) {
+      const { content, usage, provider: name, model } = result;
+      await save(key, { content, usage, provider: name, model });
+    }
+    return { ...result, cached: false };
+  };
+
+  return {
+    ...provider,
+
+    async chat(request) {
+      if (request.cache === false) {
+        return { ...(await provider.chat(request)), cached: false };
+      }
+
+      const key = getCacheKey(provider, request);
+      const hit = await lookup(key);
+      if (hit && accepts(request, hit.content)) {
+        return { ...hit, cached: true };
+      }
+
+      return remember(key, request, await provider.chat(request));
+    },
+
+    async stream(request, onDelta) {
+      if (request.cache === false) {
+        return { ...(await provider.stream(request, onDelta)), cached: false };
+      }
+
+      const key = getCacheKey(provider, request);
+      const hit = await lookup(key);
+      if (hit && accepts(request, hit.content)) {
+        // Replay the cached reply as a single token
+        onDelta(hit.content);
+        return { ...hit, cached: true };
+      }
+
+      return remember(key, request, await provider.stream(request, onDelta));
+    },
+  };
+}
+
+/**
+ * Remove expired entries from the active cache store
+ */
+export async function pruneResponseCache(store = ResponseCacheModel) {
+  return store.deleteExpired();
+}
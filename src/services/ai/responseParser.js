@@ -3,11 +3,35 @@
  * Ensures responses conform to expected structure.
  */
 
+import {
+  DECISION_OUTPUT_SCHEMA,
+  CLARITY_CHECK_OUTPUT_SCHEMA,
+  MAX_TASKS,
+  validateOutput,
+} from './outputSchemas.js';
+
 const ALIGNMENT_SUFFIX = 'Are we aligned, or should we challenge this before moving on?';
 
+const SESSION_OUTCOMES = ['commit', 'defer'];
+
+const CHECK_IN_STATUSES = ['completed', 'in_progress', 'skipped'];
+
+/**
+ * A reply that does not match the expected output
+ * errors: one message per problem, precise enough to ask the model for a fix
+ */
+export class InvalidResponseError extends Error {
+  constructor(errors) {
+    super(`Invalid AI response: ${errors.join('; ')}`);
+    this.name = 'InvalidResponseError';
+    this.errors = errors;
+  }
+}
+
 export const responseParser = {
   /**
    * Parses the decision response from OpenAI
+   * Throws InvalidResponseError when it is not valid JSON or breaks the schema
    */
   parseDecisionResponse(rawResponse) {
     let parsed;
@@ -15,7 +39,7 @@ export const responseParser = {
     try {
       parsed = JSON.parse(rawResponse);
     } catch (error) {
-      throw new Error('Failed to parse AI response as JSON');
+      throw new InvalidResponseError([`response is not valid JSON (${error.message})`]);
     }
 
     // Validate required fields
@@ -28,48 +52,207 @@ export const responseParser = {
   },
 
   /**
-   * Validates the decision structure
+   * Validates the decision structure against DECISION_OUTPUT_SCHEMA
    */
   validateDecisionStructure(data) {
-    const errors = [];
+    const errors = validateOutput(DECISION_OUTPUT_SCHEMA, data);
 
-    if (!data.decision || typeof data.decision !== 'string') {
-      errors.push('Missing or invalid "decision" field');
+    if (errors.length > 0) {
+      throw new InvalidResponseError(errors);
     }
 
-    if (!data.reasoning || typeof data.reasoning !== 'string') {
-      errors.push('Missing or invalid "reasoning" field');
+    // Normalize and return
+    return {
+      decision: data.decision.trim(),
+      reasoning: data.reasoning.trim(),
+      tasks: this.normalizeTasks(data.tasks),
+    };
+  },
+
+  /**
+   * Parses the clarity check response
+   * Only the first question is kept - the user gets exactly one
+   * Throws InvalidResponseError when it is not valid JSON or breaks the schema
+   */
+  parseClarityCheck(rawResponse) {
+    let parsed;
+
+    try {
+      parsed = JSON.parse(rawResponse);
+    } catch (error) {
+      throw new InvalidResponseError([`response is not valid JSON (${error.message})`]);
     }
 
-    if (!Array.isArray(data.tasks) || data.tasks.length === 0) {
-      errors.push('Missing or empty "tasks" array');
+    const errors = validateOutput(CLARITY_CHECK_OUTPUT_SCHEMA, parsed);
+    if (errors.length > 0) {
+      throw new InvalidResponseError(errors);
     }
 
-    if (data.tasks && data.tasks.length > 5) {
-      errors.push('Maximum 5 tasks allowed');
+    if (!parsed.needs_clarification) {
+      return { needsClarification: false, question: null };
+    }
+
+    const question = parsed.question.trim();
+    const end = question.indexOf('?');
+    return {
+      needsClarification: true,
+      question: end === -1 ? question : question.slice(0, end + 1),
+    };
+  },
+
+  /**
+   * Validates a task list - count and per-task fields
+   * Returns a list of error strings (empty when valid)
+   */
+  validateTaskList(tasks) {
+    const errors = [];
+
+    if (tasks && tasks.length > MAX_TASKS) {
+      errors.push(`Maximum ${MAX_TASKS} tasks allowed`);
     }
 
     // Validate each task
-    if (Array.isArray(data.tasks)) {
-      data.tasks.forEach((task, index) => {
-        if (!task.title || typeof task.title !== 'string') {
+    if (Array.isArray(tasks)) {
+      tasks.forEach((task, index) => {
+        if (!task || !task.title || typeof task.title !== 'string') {
           errors.push(`Task ${index + 1}: missing or invalid "title"`);
         }
-        if (typeof task.priority !== 'number' || task.priority < 1) {
+        if (!task || typeof task.priority !== 'number' || task.priority < 1) {
           errors.push(`Task ${index + 1}: missing or invalid "priority"`);
         }
       });
     }
 
+    return errors;
+  },
+
+  /**
+   * Parses the PLANNING phase response from a session
+   * Expects 1-5 tasks and a user-facing message
+   */
+  parseSessionPlan(rawResponse) {
+    let parsed;
+
+    try {
+      parsed = JSON.parse(rawResponse);
+    } catch (error) {
+      throw new Error('Failed to parse AI response as JSON');
+    }
+
+    const errors = [];
+
+    if (!Array.isArray(parsed.tasks) || parsed.tasks.length === 0) {
+      errors.push('Missing or empty "tasks" array');
+    }
+
+    errors.push(...this.validateTaskList(parsed.tasks));
+
+    if (!parsed.message || typeof parsed.message !== 'string') {
+      errors.push('Missing or invalid "message" field');
+    }
+
     if (errors.length > 0) {
       throw new Error(`Invalid AI response: ${errors.join('; ')}`);
     }
 
-    // Normalize and return
     return {
-      decision: data.decision.trim(),
-      reasoning: data.reasoning.trim(),
-      tasks: this.normalizeTasks(data.tasks),
+      tasks: this.normalizeTasks(parsed.tasks),
+      message: parsed.message.trim(),
+    };
+  },
+
+  /**
+   * Parses the EXECUTION phase response from a session
+   * Task updates reference tasks by their 1-based number in the list
+   */
+  parseSessionCheckIn(rawResponse) {
+    let parsed;
+
+    try {
+      parsed = JSON.parse(rawResponse);
+    } catch (error) {
+      throw new Error('Failed to parse AI response as JSON');
+    }
+
+    const errors = [];
+    const updates = parsed.task_updates ?? [];
+
+    if (!Array.isArray(updates)) {
+      errors.push('"task_updates" must be an array');
+    } else {
+      updates.forEach((update, index) => {
+        if (!update || !Number.isInteger(update.task) || update.task < 1) {
+          errors.push(`Update ${index + 1}: missing or invalid "task"`);
+        }
+        if (!update || !CHECK_IN_STATUSES.includes(update.status)) {
+          errors.push(`Update ${index + 1}: "status" must be one of: ${CHECK_IN_STATUSES.join(', ')}`);
+        }
+      });
+    }
+
+    if (!parsed.message || typeof parsed.message !== 'string') {
+      errors.push('Missing or invalid "message" field');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid AI response: ${errors.join('; ')}`);
+    }
+
+    return {
+      taskUpdates: updates.map((update) => ({
+        task: update.task,
+        status: update.status,
+      })),
+      message: parsed.message.trim(),
+    };
+  },
+
+  /**
+   * Parses the DECISION phase response from a session
+   * Expects either a "commit" or a "defer" outcome
+   */
+  parseSessionDecision(rawResponse) {
+    let parsed;
+
+    try {
+      parsed = JSON.parse(rawResponse);
+    } catch (error) {
+      throw new Error('Failed to parse AI response as JSON');
+    }
+
+    const errors = [];
+
+    if (!SESSION_OUTCOMES.includes(parsed.outcome)) {
+      errors.push(`"outcome" must be one of: ${SESSION_OUTCOMES.join(', ')}`);
+    }
+
+    if (!parsed.decision || typeof parsed.decision !== 'string') {
+      errors.push('Missing or invalid "decision" field');
+    }
+
+    if (!parsed.message || typeof parsed.message !== 'string') {
+      errors.push('Missing or invalid "message" field');
+    }
+
+    if (parsed.outcome === 'defer') {
+      if (!parsed.defer_until || typeof parsed.defer_until !== 'string') {
+        errors.push('Deferred outcome requires "defer_until"');
+      }
+      if (!parsed.reason || typeof parsed.reason !== 'string') {
+        errors.push('Deferred outcome requires "reason"');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid AI response: ${errors.join('; ')}`);
+    }
+
+    return {
+      outcome: parsed.outcome,
+      decision: parsed.decision.trim(),
+      deferUntil: parsed.outcome === 'defer' ? parsed.defer_until.trim() : null,
+      reason: typeof parsed.reason === 'string' ? parsed.reason.trim() : null,
+      message: parsed.message.trim(),
     };
   },
 
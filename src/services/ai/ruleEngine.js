@@ -0,0 +1,145 @@
+/**
+ * Phase Rule Engine
+ *
+ * Evaluates a phase response against the rules declared in phaseRules.js.
+ * Returns every violation, whether a regeneration is needed, and the
+ * reminder to send with it.
+ */
+
+import { getPhaseRules } from './phaseRules.js';
+
+const FORMAT_RULE_ID = 'format';
+
+const REMINDER_PREFIX = 'REMINDER: Your previous response violated phase rules.';
+
+/**
+ * Resolve the text a rule applies to
+ * Plain-text phases have no structured output - the whole response is the message
+ */
+function getTargetText(target, content, structured) {
+  const targets = Array.isArray(target) ? target : [target || 'message'];
+
+  return targets
+    .map((t) => {
+      if (t === 'tasks') {
+        return (structured?.tasks || []).map((task) => task.title).join('\n');
+      }
+      return structured ? structured.message : content;
+    })
+    .join('\n');
+}
+
+/**
+ * Rule type checkers
+ * Each returns violation detail when the rule is broken, otherwise null
+ */
+const CHECKERS = {
+  forbidden(rule, text) {
+    const match = rule.patterns.find((pattern) => pattern.test(text));
+    return match ? { pattern: match.toString() } : null;
+  },
+
+  required(rule, text, structured) {
+    const missing = rule.properties.filter((property) => {
+      const value = structured?.[property];
+      return value === undefined || value === null || value === '';
+    });
+    return missing.length > 0 ? { missing } : null;
+  },
+
+  lines(rule, text) {
+    const lineCount = text.trim().split('\n').filter((l) => l.trim()).length;
+    const tooFew = rule.min !== undefined && lineCount < rule.min;
+    const tooMany = rule.max !== undefined && lineCount > rule.max;
+    return tooFew || tooMany ? { lineCount, min: rule.min, max: rule.max } : null;
+  },
+
+  length(rule, text) {
+    return text.length > rule.max ? { length: text.length, max: rule.max } : null;
+  },
+
+  questions(rule, text) {
+    const count = (text.match(/\?/g) || []).length;
+    return count > rule.max ? { count, max: rule.max } : null;
+  },
+};
+
+/**
+ * Build the regeneration reminder from retry-level violations
+ */
+export function buildReminder(violations) {
+  const lines = [...new Set(violations.map((v) => v.reminder).filter(Boolean))];
+  return [REMINDER_PREFIX, ...lines].join('\n');
+}
+
+/**
+ * Evaluate a response against its phase rules
+ *
+ * Returns:
+ * - structured: parsed output for structured phases (null otherwise or on parse failure)
+ * - violations: [{ ruleId, type, severity, action, reminder, detail }]
+ * - shouldRetry: at least one violation asks for regeneration
+ * - reminder: regeneration reminder (null when no retry is needed)
+ */
+export function evaluateResponse(phase, content) {
+  const phaseRules = getPhaseRules(phase);
+  if (!phaseRules) {
+    return { structured: null, violations: [], shouldRetry: false, reminder: null };
+  }
+
+  let structured = null;
+
+  if (phaseRules.parse) {
+    try {
+      structured = phaseRules.parse(content);
+    } catch (error) {
+      // Nothing else can be checked on output that does not parse
+      const violations = [{
+        ruleId: FORMAT_RULE_ID,
+        type: FORMAT_RULE_ID,
+        severity: 'error',
+        action: 'retry',
+        reminder: phaseRules.formatReminder,
+        detail: { message: error.message },
+      }];
+      return { structured: null, violations, shouldRetry: true, reminder: buildReminder(violations) };
+    }
+  }
+
+  const violations = [];
+
+  for (const rule of phaseRules.rules) {
+    const checker = CHECKERS[rule.type];
+    if (!checker) {
+      throw new Error(`Unknown rule type "${rule.type}" in rule ${rule.id}`);
+    }
+
+    const text = getTargetText(rule.target, content, structured);
+    const detail = checker(rule, text, structured);
+
+    if (detail) {
+      violations.push({
+        ruleId: rule.id,
+        type: rule.type,
+        severity: rule.severity,
+        action: rule.action,
+        reminder: rule.reminder,
+        detail,
+      });
+    }
+  }
+
+  const retryViolations = violations.filter((v) => v.action === 'retry');
+
+  return {
+    structured,
+    violations,
+    shouldRetry: retryViolations.length > 0,
+    reminder: retryViolations.length > 0 ? buildReminder(retryViolations) : null,
+  };
+}
+
+export const ruleEngine = {
+  evaluateResponse,
+  buildReminder,
+};
@@ -0,0 +1,116 @@
+import { DecisionModel } from '../../models/decision.model.js';
+import { getConfidenceLevel } from '../../utils/confidenceScore.js';
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low', 'very_low'];
+const COMPLETION_LEVELS = ['all', 'some', 'none', 'no_tasks'];
+
+// Outcomes at or below this rating count as misses, at or above as successes
+const MISS_RATING = 2;
+const SUCCESS_RATING = 4;
+
+// Reviewed decisions listed in a retrospective
+const MAX_LISTED_DECISIONS = 20;
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+const average = (values) => (values.length > 0
+  ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+  : null);
+
+/**
+ * Map a reviewed decision row to the API shape
+ */
+function toReviewedDecision(row) {
+  const tasks = Number(row.task_count);
+  const completed = Number(row.completed_count || 0);
+  const confidence = row.confidence_score == null ? null : Number(row.confidence_score);
+
+  return {
+    id: row.id,
+    decision: row.decision,
+    status: row.status,
+    confidence,
+    confidenceLevel: confidence == null ? null : getConfidenceLevel(confidence),
+    tasks,
+    completedTasks: completed,
+    taskCompletion: tasks === 0 ? 'no_tasks' : completed === tasks ? 'all' : completed > 0 ? 'some' : 'none',
+    outcome: {
+      rating: row.rating,
+      whatHappened: row.what_happened,
+      wouldDecideAgain: row.would_decide_again,
+      reviewedAt: row.reviewed_at,
+    },
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Outcome figures for a group of reviewed decisions
+ */
+function summarize(decisions) {
+  const tasks = decisions.reduce((sum, decision) => sum + decision.tasks, 0);
+  const completed = decisions.reduce((sum, decision) => sum + decision.completedTasks, 0);
+
+  return {
+    decisions: decisions.length,
+    averageRating: average(decisions.map((decision) => decision.outcome.rating)),
+    wouldDecideAgainRate: rate(decisions.filter((decision) => decision.outcome.wouldDecideAgain).length, decisions.length),
+    taskCompletionRate: rate(completed, tasks),
+  };
+}
+
+/**
+ * Confidence minus the outcome rating on the same 0-1 scale (1 → 0, 5 → 1)
+ * Positive: decisions turned out worse than their confidence promised.
+ */
+function calibrationGap(decisions) {
+  const scored = decisions.filter((decision) => decision.confidence != null);
+  if (scored.length === 0) return null;
+
+  return average(scored.map((decision) => decision.confidence - (decision.outcome.rating - 1) / 4));
+}
+
+function groupBy(decisions, key, levels) {
+  return Object.fromEntries(levels.map((level) => [
+    level,
+    summarize(decisions.filter((decision) => decision[key] === level)),
+  ]));
+}
+
+/**
+ * Decision retrospective service.
+ * Compares recorded outcomes with the confidence score and task completion
+ * of the decisions they belong to.
+ */
+export const retrospectiveService = {
+  /**
+   * A user's retrospective
+   * - overall: figures over every reviewed decision
+   * - byConfidence / byTaskCompletion: the same figures per confidence level
+   *   and per share of completed tasks
+   * - misses: confident decisions that turned out badly; surprises: the reverse
+   */
+  async getRetrospective(userId) {
+    const [rows, unreviewed] = await Promise.all([
+      DecisionModel.findReviewedByUserId(userId),
+      DecisionModel.countUnreviewedByUserId(userId),
+    ]);
+    const reviewed = rows.map(toReviewedDecision);
+
+    const confident = (decision) => decision.confidenceLevel === 'high' || decision.confidenceLevel === 'medium';
+
+    return {
+      userId,
+      unreviewed,
+      overall: {
+        ...summarize(reviewed),
+        averageConfidence: average(reviewed.filter((d) => d.confidence != null).map((d) => d.confidence)),
+        calibrationGap: calibrationGap(reviewed),
+      },
+      byConfidence: groupBy(reviewed, 'confidenceLevel', CONFIDENCE_LEVELS),
+      byTaskCompletion: groupBy(reviewed, 'taskCompletion', COMPLETION_LEVELS),
+      misses: reviewed.filter((d) => confident(d) && d.outcome.rating <= MISS_RATING).map((d) => d.id),
+      surprises: reviewed.filter((d) => !confident(d) && d.confidence != null && d.outcome.rating >= SUCCESS_RATING).map((d) => d.id),
+      decisions: reviewed.slice(0, MAX_LISTED_DECISIONS),
+    };
+  },
+};
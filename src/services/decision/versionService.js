@@ -0,0 +1,180 @@
+import { DecisionModel } from '../../models/decision.model.js';
+import { taskService } from '../task/taskService.js';
+
+const DECISION_FIELDS = ['decision', 'reasoning', 'confidence'];
+
+/**
+ * Task fields a version keeps
+ */
+const toVersionTask = ({ title, priority, status = 'pending' }) => ({ title, priority, status });
+
+/**
+ * Tasks are matched across versions by title, ignoring case and spacing
+ */
+const taskKey = (task) => task.title.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Map a version row to the API shape
+ */
+function toVersion(row, currentVersion) {
+  return {
+    version: row.version,
+    current: row.version === currentVersion,
+    source: row.source,
+    feedback: row.feedback || null,
+    restoredFrom: row.restored_from || null,
+    decision: row.decision,
+    reasoning: row.reasoning,
+    confidence: row.confidence_score == null ? null : Number(row.confidence_score),
+    tasks: row.tasks.map(toVersionTask),
+    generatedBy: {
+      provider: row.ai_provider || null,
+      model: row.ai_model || null,
+      prompt: row.prompt_id ? { id: row.prompt_id, version: row.prompt_version } : null,
+    },
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Decision version service.
+ * Refinements and rollbacks add versions; the decision row and its
+ * tasks always hold the current one.
+ */
+export const decisionVersionService = {
+  /**
+   * The current version, from the live decision and tasks - task statuses
+   * keep moving after a version is stored
+   * A decision never refined has no stored rows; its original is v1.
+   * stored: the current version's row when already loaded (null if there is none)
+   */
+  async getCurrentVersion(decision, stored) {
+    const row = stored !== undefined
+      ? stored
+      : await DecisionModel.findVersion(decision.id, decision.current_version);
+    const tasks = await taskService.getTasksByDecisionId(decision.id);
+
+    return toVersion({
+      source: 'generated',
+      created_at: decision.created_at,
+      ...row,
+      version: decision.current_version,
+      decision: decision.decision,
+      reasoning: decision.reasoning,
+      confidence_score: decision.confidence_score,
+      tasks,
+      ai_provider: decision.ai_provider,
+      ai_model: decision.ai_model,
+      prompt_id: decision.prompt_id,
+      prompt_version: decision.prompt_version,
+    }, decision.current_version);
+  },
+
+  /**
+   * Every version of a decision, oldest first
+   */
+  async listVersions(decision) {
+    const stored = await DecisionModel.findVersions(decision.id);
+    const current = stored.find((row) => row.version === decision.current_version);
+
+    return [
+      ...stored
+        .filter((row) => row !== current)
+        .map((row) => toVersion(row, decision.current_version)),
+      await this.getCurrentVersion(decision, current || null),
+    ];
+  },
+
+  /**
+   * One version of a decision, or null when it does not exist
+   */
+  async getVersion(decision, version) {
+    if (version === decision.current_version) {
+      return this.getCurrentVersion(decision);
+    }
+
+    const row = await DecisionModel.findVersion(decision.id, version);
+    return row ? toVersion(row, decision.current_version) : null;
+  },
+
+  /**
+   * Store a refinement as the new current version, replacing the tasks
+   * status: the decision's status afterwards (proposed by default)
+   * Returns { decision, version, tasks }
+   */
+  async refine(decision, aiResult, { feedback, confidence, status }) {
+    return DecisionModel.addVersion(decision.id, {
+      source: 'refinement',
+      feedback,
+      status,
+      decision: aiResult.decision,
+      reasoning: aiResult.reasoning,
+      confidenceScore: confidence,
+      tasks: aiResult.tasks.map(({ title, priority }) => ({ title, priority, status: 'pending' })),
+      aiProvider: aiResult.provider,
+      aiModel: aiResult.model,
+      promptId: aiResult.prompt?.id,
+      promptVersion: aiResult.prompt?.version,
+    });
+  },
+
+  /**
+   * Make an earlier version current again, with its task set (statuses included)
+   * The rollback is itself a new version, so history is never rewritten.
+   * Returns { decision, version, tasks }
+   */
+  async rollback(decision, target) {
+    return DecisionModel.addVersion(decision.id, {
+      source: 'rollback',
+      restoredFrom: target.version,
+      decision: target.decision,
+      reasoning: target.reasoning,
+      confidenceScore: target.confidence,
+      tasks: target.tasks,
+      aiProvider: target.generatedBy.provider,
+      aiModel: target.generatedBy.model,
+      promptId: target.generatedBy.prompt?.id,
+      promptVersion: target.generatedBy.prompt?.version,
+    });
+  },
+
+  /**
+   * What changed between two versions
+   * - changes: decision fields that differ, as { from, to }
+   * - tasks: added, removed, and changed (priority or status) tasks
+   */
+  diff(from, to) {
+    const changes = {};
+    for (const field of DECISION_FIELDS) {
+      if (from[field] !== to[field]) {
+        changes[field] = { from: from[field], to: to[field] };
+      }
+    }
+
+    const fromTasks = new Map(from.tasks.map((task) => [taskKey(task), task]));
+    const toTasks = new Map(to.tasks.map((task) => [taskKey(task), task]));
+
+    const changed = [];
+    for (const [key, task] of toTasks) {
+      const before = fromTasks.get(key);
+      if (before && (before.priority !== task.priority || before.status !== task.status)) {
+        changed.push({
+          title: task.title,
+          from: { priority: before.priority, status: before.status },
+          to: { priority: task.priority, status: task.status },
+        });
+      }
+    }
+
+    return {
+      from: from.version,
+      to: to.version,
+      changes,
+      tasks: {
+        added: [...toTasks].filter(([key]) => !fromTasks.has(key)).map(([, task]) => task),
+        removed: [...fromTasks].filter(([key]) => !toTasks.has(key)).map(([, task]) => task),
+        changed,
+      },
+    };
+  },
+};
@@ -1,4 +1,12 @@
-import { DecisionModel } from '../../models/decision.model.js';
+import { DecisionModel, DECISION_STATUSES } from '../../models/decision.model.js';
+
+// Decisions the user did not (or no longer) act on are labelled as such
+const STATUS_LABELS = {
+  [DECISION_STATUSES.PROPOSED]: 'Proposed (not yet aligned)',
+  [DECISION_STATUSES.CHALLENGED]: 'Challenged',
+  [DECISION_STATUSES.REVERSED]: 'Reversed',
+  [DECISION_STATUSES.DONE]: 'Done',
+};
 
 /**
  * Context service for managing conversational memory.
@@ -10,6 +18,16 @@ export const contextService = {
    */
   MAX_CONTEXT_ENTRIES: 5,
 
+  /**
+   * Older reviewed decisions included, so the model learns what worked
+   */
+  MAX_OUTCOME_ENTRIES: 3,
+
+  /**
+   * Longest "what happened" note quoted in the context
+   */
+  MAX_OUTCOME_NOTE_LENGTH: 160,
+
   /**
    * Gets relevant context for a user
    * Returns null gracefully if database is unavailable
@@ -18,14 +36,14 @@ export const contextService = {
     if (!userId) return null;
 
     try {
-      const recentDecisions = await DecisionModel.findRecent(
-        userId,
-        this.MAX_CONTEXT_ENTRIES
-      );
+      const [recentDecisions, reviewedDecisions] = await Promise.all([
+        DecisionModel.findRecent(userId, this.MAX_CONTEXT_ENTRIES),
+        DecisionModel.findReviewedByUserId(userId, this.MAX_CONTEXT_ENTRIES + this.MAX_OUTCOME_ENTRIES),
+      ]);
 
       if (recentDecisions.length === 0) return null;
 
-      return this.formatContext(recentDecisions);
+      return this.formatContext(recentDecisions, reviewedDecisions);
     } catch (error) {
       // Database not available - continue without context
       console.warn('[contextService] Database unavailable, skipping context:', error.message);
@@ -33,20 +51,62 @@ export const contextService = {
     }
   },
 
+  /**
+   * Label of a deferred decision, with what it is parked until when known
+   * Dates show as yyyy-mm-dd; session deferrals keep the model's own words.
+   */
+  formatDeferred(deferUntil) {
+    if (!deferUntil) return 'Deferred';
+
+    const time = deferUntil instanceof Date ? deferUntil.getTime() : Date.parse(deferUntil);
+    return Number.isNaN(time)
+      ? `Deferred until ${deferUntil}`
+      : `Deferred until ${new Date(time).toISOString().slice(0, 10)}`;
+  },
+
   /**
    * Formats decisions into a context string
+   * reviewed: reviewed decisions - those not among the recent ones are
+   * listed with their outcome
    */
-  formatContext(decisions) {
+  formatContext(decisions, reviewed = []) {
     if (!decisions || decisions.length === 0) return null;
 
     const contextParts = decisions.map((decision, index) => {
       const taskSummary = this.summarizeTasks(decision.tasks);
-      return `[${index + 1}] Decision: ${decision.decision}
+      const deferred = decision.status === DECISION_STATUSES.DEFERRED || decision.outcome === 'defer';
+      const label = STATUS_LABELS[decision.status]
+        || (deferred ? this.formatDeferred(decision.defer_until) : 'Decision');
+      const outcome = decision.rating != null ? `\n   Outcome: ${this.summarizeOutcome(decision)}` : '';
+      return `[${index + 1}] ${label}: ${decision.decision}
    Tasks: ${taskSummary}
-   When: ${this.formatTimeAgo(decision.created_at)}`;
+   When: ${this.formatTimeAgo(decision.created_at)}${outcome}`;
     });
 
-    return `Recent decisions:\n${contextParts.join('\n\n')}`;
+    const recentIds = new Set(decisions.map((decision) => decision.id));
+    const earlier = reviewed
+      .filter((decision) => !recentIds.has(decision.id))
+      .slice(0, this.MAX_OUTCOME_ENTRIES)
+      .map((decision) => `- ${decision.decision}\n   Outcome: ${this.summarizeOutcome(decision)}`);
+
+    const context = `Recent decisions:\n${contextParts.join('\n\n')}`;
+    return earlier.length > 0
+      ? `${context}\n\nHow earlier decisions turned out:\n${earlier.join('\n')}`
+      : context;
+  },
+
+  /**
+   * Summarizes a recorded outcome into a brief string
+   */
+  summarizeOutcome({ rating, would_decide_again: again, what_happened: note }) {
+    let summary = `rated ${rating}/5, ${again ? 'would decide the same again' : 'would decide differently'}`;
+    if (note) {
+      const trimmed = note.length > this.MAX_OUTCOME_NOTE_LENGTH
+        ? `${note.slice(0, this.MAX_OUTCOME_NOTE_LENGTH - 3)}...`
+        : note;
+      summary += ` - "${trimmed}"`;
+    }
+    return summary;
   },
 
   /**
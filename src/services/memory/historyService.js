@@ -0,0 +1,111 @@
+/**
+ * History service for keeping long sessions within a token budget.
+ * Recent turns are sent verbatim; older turns are folded into a rolling
+ * summary stored on the session. Phase summaries are never folded.
+ */
+
+import { SessionModel } from '../../models/session.model.js';
+import { getPhaseConfig } from '../ai/phasePrompts.js';
+import { historySummarizer } from '../ai/historySummarizer.js';
+import { usageService } from '../usage/usageService.js';
+import { estimateMessagesTokens } from '../../utils/tokenEstimator.js';
+import { env } from '../../config/env.js';
+
+export const PHASE_SUMMARY_PREFIX = 'PHASE SUMMARY';
+
+const ROLLING_SUMMARY_PREFIX = 'EARLIER IN THIS SESSION';
+
+/**
+ * Stored system messages are phase summaries - always sent
+ */
+function isPinned(message) {
+  return message.role === 'system';
+}
+
+export const historyService = {
+  /**
+   * Get the history token budget for a phase
+   * HISTORY_TOKEN_BUDGET_<PHASE> overrides the phase default
+   */
+  getTokenBudget(phase) {
+    return env.history.tokenBudgets[phase] || getPhaseConfig(phase).historyTokenBudget;
+  },
+
+  /**
+   * Assemble the history sent to the model
+   * Rolling summary first, then phase summaries and unfolded turns in order.
+   */
+  selectMessages(messages, summary, summarizedCount) {
+    return [
+      ...(summary ? [{ role: 'system', content: `${ROLLING_SUMMARY_PREFIX}:\n${summary}` }] : []),
+      ...messages.filter((m, index) => isPinned(m) || index >= summarizedCount),
+    ];
+  },
+
+  /**
+   * Build the history for a turn within the phase token budget
+   * `messages` is the full session history including the new user message.
+   * When over budget, older turns are folded down to the fold target so
+   * folding happens in chunks rather than every turn. The newest message
+   * is always kept verbatim.
+   */
+  async buildHistory(session, messages, phase = session.current_phase) {
+    const budget = this.getTokenBudget(phase);
+    const summary = session.history_summary || null;
+    const summarizedCount = session.history_summarized_count || 0;
+
+    const selected = this.selectMessages(messages, summary, summarizedCount);
+    if (estimateMessagesTokens(selected) <= budget) {
+      return selected;
+    }
+
+    // Reserve room for the summary at its largest
+    const target = Math.floor(budget * env.history.foldTarget);
+    const fixedTokens = estimateMessagesTokens(messages.filter(isPinned))
+      + historySummarizer.SUMMARY_MAX_TOKENS;
+
+    let cutoff = summarizedCount;
+    while (cutoff < messages.length - 1) {
+      const verbatim = messages.slice(cutoff).filter((m) => !isPinned(m));
+      if (fixedTokens + estimateMessagesTokens(verbatim) <= target) break;
+      cutoff++;
+    }
+
+    const folded = messages.slice(summarizedCount, cutoff).filter((m) => !isPinned(m));
+    if (folded.length === 0) {
+      return selected;
+    }
+
+    const updatedSummary = await historySummarizer.summarizeTurns(
+      summary,
+      folded,
+      { ...usageService.contextForSession(session), phase }
+    );
+    await SessionModel.setHistorySummary(session.id, updatedSummary, cutoff);
+
+    return this.selectMessages(messages, updatedSummary, cutoff);
+  },
+
+  /**
+   * Store a summary of a finished phase as a system message
+   * Returns null when the phase had no conversation
+   */
+  async recordPhaseSummary(session, phase = session.current_phase) {
+    const phaseMessages = (session.messages || [])
+      .filter((m) => m.phase === phase && !isPinned(m));
+    if (phaseMessages.length === 0) return null;
+
+    const summary = await historySummarizer.summarizePhase(
+      phase,
+      phaseMessages,
+      usageService.contextForSession(session)
+    );
+
+    return SessionModel.addMessage(
+      session.id,
+      'system',
+      `${PHASE_SUMMARY_PREFIX} (${phase}):\n${summary}`,
+      phase
+    );
+  },
+};
@@ -104,6 +104,42 @@ export const summaryService = {
     return `Made ${decisions.length} decisions. ${themeText}`;
   },
 
+  /**
+   * Plain descriptions of each thinking phase for recaps
+   */
+  PHASE_DESCRIPTIONS: {
+    DUMP: 'letting your thoughts out',
+    CLARITY: 'naming the core problem',
+    DECISION: 'landing on a decision',
+    PLANNING: 'shaping a few concrete tasks',
+    EXECUTION: 'working through your tasks',
+  },
+
+  /**
+   * Builds a short recap greeting for a resumed session
+   */
+  buildResumeRecap(session, tasks = []) {
+    const lines = [
+      `Welcome back. We were ${this.PHASE_DESCRIPTIONS[session.current_phase] || 'in the middle of things'}.`,
+    ];
+
+    const lastReply = [...(session.messages || [])]
+      .reverse()
+      .find((m) => m.role === 'assistant');
+    if (lastReply) {
+      lines.push(`Where we left off: "${this.truncate(lastReply.content.replace(/\s+/g, ' '), 160)}"`);
+    }
+
+    if (tasks.length > 0) {
+      const done = tasks.filter((t) => t.status === 'completed').length;
+      lines.push(`${done} of ${tasks.length} tasks done.`);
+    }
+
+    lines.push('Pick up whenever you are ready.');
+
+    return lines.join('\n');
+  },
+
   /**
    * Truncates text to max length
    */
@@ -5,67 +5,29 @@
  * Enforces phase rules and validates AI responses.
  */
 
-import { SessionModel, PHASES } from '../../models/session.model.js';
-import { getPhasePrompt, getPhaseConfig, buildPhaseMessages } from '../ai/phasePrompts.js';
-import { getOpenAI } from '../../config/openai.js';
+import { SessionModel, PHASES, SESSION_STATES } from '../../models/session.model.js';
+import { getPhasePrompt, getPhasePromptTemplate, getPhaseConfig, buildPhaseMessages } from '../ai/phasePrompts.js';
+import { responseParser } from '../ai/responseParser.js';
+import { evaluateResponse } from '../ai/ruleEngine.js';
+import { DecisionModel, DECISION_STATUSES } from '../../models/decision.model.js';
+import { taskService } from '../task/taskService.js';
+import { summaryService } from '../memory/summaryService.js';
+import { historyService } from '../memory/historyService.js';
+import { usageService } from '../usage/usageService.js';
+import { getProvider } from '../ai/providers/index.js';
 import { env } from '../../config/env.js';
 
 /**
- * Patterns that indicate forbidden responses in DUMP phase
- * If detected, the response should be regenerated
+ * Task status changes the EXECUTION phase may apply
  */
-const DUMP_PHASE_VIOLATIONS = {
-  questions: [
-    /\?$/m,                           // Ends with question mark
-    /^(what|how|why|when|where|who|would|could|can|do|does|have|has|are|is)\s/im,
-  ],
-  advice: [
-    /\b(you should|you could|try to|consider|i suggest|i recommend|maybe you|perhaps you)\b/i,
-    /\b(why don't you|what if you|have you tried)\b/i,
-  ],
-  structure: [
-    /^\s*[-•*]\s/m,                   // Bullet points
-    /^\s*\d+\.\s/m,                   // Numbered lists
-    /^#{1,6}\s/m,                     // Markdown headers
-  ],
-  nextSteps: [
-    /\b(next step|first step|start by|begin with|action item)\b/i,
-    /\b(to-do|todo|task|plan)\b/i,
-  ],
+const CHECK_IN_ACTIONS = {
+  completed: (taskId) => taskService.completeTask(taskId),
+  in_progress: (taskId) => taskService.startTask(taskId),
+  skipped: (taskId) => taskService.skipTask(taskId),
 };
 
-/**
- * Check if a response violates DUMP phase rules
- * Returns an object with violation details
- */
-function checkDumpPhaseViolations(response) {
-  const violations = [];
-
-  for (const [category, patterns] of Object.entries(DUMP_PHASE_VIOLATIONS)) {
-    for (const pattern of patterns) {
-      if (pattern.test(response)) {
-        violations.push({ category, pattern: pattern.toString() });
-        break; // One violation per category is enough
-      }
-    }
-  }
-
-  return {
-    hasViolations: violations.length > 0,
-    violations,
-  };
-}
-
-/**
- * Check response length - DUMP phase should be 3-5 lines
- */
-function checkResponseLength(response) {
-  const lines = response.trim().split('\n').filter(l => l.trim());
-  return {
-    isValid: lines.length >= 1 && lines.length <= 6,
-    lineCount: lines.length,
-  };
-}
+// Shown instead of a structured reply that never parsed - raw model output is not
+const UNPARSED_REPLY_MESSAGE = 'I lost my train of thought there. Could you say that again?';
 
 export const sessionService = {
   /**
@@ -85,8 +47,9 @@ export const sessionService = {
   /**
    * Process user input and generate AI response
    * Enforces phase rules and validates response
+   * Pass onToken/onRetry to stream the reply (see generatePhaseResponse)
    */
-  async processMessage(sessionId, userContent) {
+  async processMessage(sessionId, userContent, { onToken = null, onRetry = null } = {}) {
     // Get session
     const session = await SessionModel.findWithMessages(sessionId);
     if (!session) {
@@ -99,99 +62,390 @@ export const sessionService = {
     await SessionModel.addMessage(sessionId, 'user', userContent, currentPhase);
 
     // Build conversation history (include new user message)
-    const history = [
+    // Older turns are folded into a summary once the phase budget is exceeded
+    const history = await historyService.buildHistory(session, [
       ...session.messages,
       { role: 'user', content: userContent },
-    ];
+    ]);
 
     // Generate AI response with phase-specific config
-    const response = await this.generatePhaseResponse(currentPhase, history);
+    const phaseContext = await this.getPhaseContext(session);
+    const response = await this.generatePhaseResponse(currentPhase, history, {
+      userId: session.user_id,
+      phaseContext,
+      onToken,
+      onRetry,
+      usageContext: usageService.contextForSession(session),
+    });
 
-    // Save assistant message
+    // Structured phases show only their message to the user
+    const structured = response.structured || null;
+    const unparsed = Boolean(getPhaseConfig(currentPhase).jsonMode) && !structured;
+    if (unparsed) {
+      console.error(`[PHASE RESPONSE] ${currentPhase} reply still unparsed after regeneration, showing fallback`);
+    }
+
+    // Save assistant message with the provider/model and prompt that produced it
     const savedMessage = await SessionModel.addMessage(
       sessionId,
       'assistant',
-      response.content,
-      currentPhase
+      unparsed ? UNPARSED_REPLY_MESSAGE : structured?.message || response.content,
+      currentPhase,
+      {
+        provider: response.provider,
+        model: response.model,
+        promptId: response.prompt.id,
+        promptVersion: response.prompt.version,
+        experimentId: response.experiment?.id,
+        experimentVariant: response.experiment?.variant,
+        validationPassed: response.validationPassed,
+        regenerated: response.regenerated,
+      }
     );
 
-    return {
+    // Record every rule violation, including regenerated attempts
+    if (response.violations.length > 0) {
+      await SessionModel.addViolations(sessionId, savedMessage.id, currentPhase, response.violations);
+    }
+
+    const result = {
       message: savedMessage,
       phase: currentPhase,
       validationPassed: response.validationPassed,
       regenerated: response.regenerated,
+      violations: response.violations,
+      cached: response.cached,
+      experiment: response.experiment,
+    };
+
+    if (currentPhase === PHASES.DECISION && structured) {
+      result.decision = await this.recordSessionDecision(session, structured, response);
+    }
+
+    if (currentPhase === PHASES.PLANNING && structured) {
+      await SessionModel.setProposedTasks(sessionId, structured.tasks);
+      result.proposedTasks = structured.tasks;
+    }
+
+    if (currentPhase === PHASES.EXECUTION && structured) {
+      result.taskUpdates = await this.applyTaskUpdates(session, structured.taskUpdates);
+      result.tasks = await this.getSessionTasks(session);
+    }
+
+    return result;
+  },
+
+  /**
+   * Get the session's accepted tasks in priority order
+   * Returns an empty list if none exist or the database is unavailable
+   */
+  async getSessionTasks(session) {
+    if (!session.decision_id) return [];
+
+    try {
+      return await taskService.getTasksByDecisionId(session.decision_id);
+    } catch (dbError) {
+      console.warn('[session] Database unavailable, skipping task lookup:', dbError.message);
+      return [];
+    }
+  },
+
+  /**
+   * Apply EXECUTION phase status changes to the session's tasks
+   * Updates reference tasks by their 1-based number; unknown numbers are ignored.
+   */
+  async applyTaskUpdates(session, taskUpdates) {
+    if (!taskUpdates || taskUpdates.length === 0) return [];
+
+    const tasks = await this.getSessionTasks(session);
+    const updated = [];
+
+    for (const { task: number, status } of taskUpdates) {
+      const task = tasks[number - 1];
+      if (!task) {
+        console.warn(`[session] Ignoring update for unknown task ${number}`);
+        continue;
+      }
+      if (task.status === status) continue;
+
+      updated.push(await CHECK_IN_ACTIONS[status](task.id));
+    }
+
+    return updated;
+  },
+
+  /**
+   * Format tasks as numbered lines for the EXECUTION prompt
+   */
+  formatTasksForPrompt(tasks) {
+    return tasks
+      .map((task, index) => `[${index + 1}] ${task.title} (${task.status})`)
+      .join('\n');
+  },
+
+  /**
+   * Build extra system context for phases that build on earlier ones
+   * Returns null when the phase needs nothing beyond the conversation
+   */
+  async getPhaseContext(session) {
+    if (session.current_phase === PHASES.PLANNING) {
+      const parts = [];
+
+      const decision = await this.getSessionDecision(session);
+      if (decision) {
+        parts.push(`COMMITTED DECISION:\n${decision.decision}${decision.reasoning ? `\nWhy: ${decision.reasoning}` : ''}`);
+      }
+
+      // The user edits against the last proposal, so the model needs to see it
+      if (session.proposed_tasks?.length) {
+        parts.push(`CURRENT TASK PROPOSAL:\n${JSON.stringify(session.proposed_tasks)}`);
+      }
+
+      return parts.length > 0 ? parts.join('\n\n') : null;
+    }
+
+    if (session.current_phase === PHASES.EXECUTION) {
+      const tasks = await this.getSessionTasks(session);
+      if (tasks.length === 0) return null;
+
+      return `CURRENT TASKS:\n${this.formatTasksForPrompt(tasks)}`;
+    }
+
+    return null;
+  },
+
+  /**
+   * Get the decision recorded in this session's DECISION phase
+   * Returns null if none was recorded or the database is unavailable
+   */
+  async getSessionDecision(session) {
+    if (!session.decision_id) return null;
+
+    try {
+      return await DecisionModel.findById(session.decision_id);
+    } catch (dbError) {
+      console.warn('[session] Database unavailable, skipping decision lookup:', dbError.message);
+      return null;
+    }
+  },
+
+  /**
+   * Accept the planned tasks and write them to the session's decision
+   * Falls back to the latest proposal when no edited list is given.
+   * Accepting again replaces the previously accepted tasks.
+   */
+  async acceptPlan(sessionId, tasks = null) {
+    const session = await SessionModel.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const accepted = responseParser.normalizeTasks(tasks || session.proposed_tasks || []);
+
+    if (session.tasks_accepted_at) {
+      await taskService.deleteTasksForDecision(session.decision_id);
+    }
+
+    const created = await taskService.createTasksForDecision(session.decision_id, accepted);
+
+    await SessionModel.setProposedTasks(sessionId, accepted);
+    await SessionModel.markTasksAccepted(sessionId);
+
+    return created;
+  },
+
+  /**
+   * Persist the DECISION phase outcome as a decisions row
+   * The first outcome creates the row, later turns revise it.
+   * generatedBy: { provider, model, prompt, experiment, regenerated } that produced the outcome
+   * Fails gracefully if the database is unavailable.
+   */
+  async recordSessionDecision(session, outcome, generatedBy = {}) {
+    const userInput = session.messages
+      .filter((m) => m.role === 'user' && [PHASES.DUMP, PHASES.CLARITY].includes(m.phase))
+      .map((m) => m.content)
+      .join('\n\n');
+
+    const summary = {
+      outcome: outcome.outcome,
+      decision: outcome.decision,
+      deferUntil: outcome.deferUntil,
+      reason: outcome.reason,
     };
+
+    // Committing or deferring in the conversation answers the alignment check
+    const status = outcome.outcome === 'defer' ? DECISION_STATUSES.DEFERRED : DECISION_STATUSES.ALIGNED;
+
+    try {
+      let saved;
+      if (session.decision_id) {
+        saved = await DecisionModel.update(session.decision_id, {
+          decision: outcome.decision,
+          reasoning: outcome.reason,
+          outcome: outcome.outcome,
+          defer_until: outcome.deferUntil,
+          status,
+          status_changed_at: new Date(),
+          ai_provider: generatedBy.provider,
+          ai_model: generatedBy.model,
+          prompt_id: generatedBy.prompt?.id,
+          prompt_version: generatedBy.prompt?.version,
+          experiment_id: generatedBy.experiment?.id ?? null,
+          experiment_variant: generatedBy.experiment?.variant ?? null,
+          regenerated: Boolean(generatedBy.regenerated),
+        });
+      } else {
+        saved = await DecisionModel.create({
+          userId: session.user_id,
+          userInput: userInput || outcome.decision,
+          decision: outcome.decision,
+          reasoning: outcome.reason,
+          confidenceScore: null,
+          outcome: outcome.outcome,
+          deferUntil: outcome.deferUntil,
+          sessionId: session.id,
+          aiProvider: generatedBy.provider,
+          aiModel: generatedBy.model,
+          promptId: generatedBy.prompt?.id,
+          promptVersion: generatedBy.prompt?.version,
+          experimentId: generatedBy.experiment?.id,
+          experimentVariant: generatedBy.experiment?.variant,
+          regenerated: Boolean(generatedBy.regenerated),
+          status,
+        });
+        await SessionModel.linkDecision(session.id, saved.id);
+      }
+
+      return { id: saved.id, ...summary };
+    } catch (dbError) {
+      // Database unavailable - continue without persistence
+      console.warn('[session] Database unavailable, skipping decision persistence:', dbError.message);
+      return { ...summary, persisted: false };
+    }
   },
 
   /**
    * Generate AI response for the current phase
    * Includes validation and regeneration if needed
+   * 
+   * Options:
+   * - phaseContext: extra system context for the phase
+   * - onToken(delta, attempt): stream tokens as they arrive (plain-text phases only)
+   * - onRetry({ attempt, nextAttempt, violations }): a streamed attempt failed
+   *   validation and is being regenerated - discard what was streamed
+   * - usageContext: { userId, sessionId, decisionId } every attempt is billed to
+   * - userId: picks the user's prompt experiment variant, if any
+   * 
+   * Returns violations from every attempt, each tagged with its attempt number,
+   * the provider/model that produced the final attempt (and whether it was cached),
+   * the { id, version } of the phase prompt and its experiment variant.
    */
-  async generatePhaseResponse(phase, conversationHistory, attempt = 1) {
+  async generatePhaseResponse(phase, conversationHistory, options = {}) {
     const MAX_ATTEMPTS = 3;
+    const {
+      userId = null,
+      phaseContext = null,
+      onToken = null,
+      onRetry = null,
+      usageContext = {},
+      attempt = 1,
+    } = options;
     
-    const messages = buildPhaseMessages(phase, conversationHistory);
+    const messages = buildPhaseMessages(phase, conversationHistory, phaseContext, { userId });
+    const prompt = getPhasePromptTemplate(phase, userId);
     const config = getPhaseConfig(phase);
-    const aiClient = getOpenAI();
+    const provider = getProvider();
 
-    // Call LLM
-    const completion = await aiClient.chat.completions.create({
-      model: env.ai.model,
+    const request = {
       messages,
       temperature: config.temperature,
-      max_tokens: config.maxTokens,
-      top_p: config.topP,
+      maxTokens: config.maxTokens,
+      topP: config.topP,
+      json: Boolean(config.jsonMode),
+      // Creative phases should not repeat themselves word for word
+      cache: config.temperature <= env.cache.maxPhaseTemperature,
+      // Replies that break the phase rules are regenerated, never cached
+      validate: (reply) => !evaluateResponse(phase, reply).shouldRetry,
+    };
+
+    // Call LLM - structured (JSON) phases are never streamed as raw tokens
+    const result = onToken && !config.jsonMode
+      ? await provider.stream(request, (delta) => onToken(delta, attempt))
+      : await provider.chat(request);
+    const { content } = result;
+
+    // Every attempt is billed, including regenerated ones
+    await usageService.recordCall({
+      ...usageContext,
+      purpose: 'phase_response',
+      phase,
+      attempt,
+      provider: result.provider,
+      model: result.model,
+      usage: usageService.resolveUsage(messages, result),
     });
 
-    const content = completion.choices[0]?.message?.content?.trim() || '';
+    // Validate response against the phase rules
+    const evaluation = evaluateResponse(phase, content);
+    const violations = [
+      ...(options.violations || []),
+      ...evaluation.violations.map((v) => ({ ...v, attempt })),
+    ];
 
-    // Validate response based on phase
-    if (phase === PHASES.DUMP) {
-      const violations = checkDumpPhaseViolations(content);
-      const lengthCheck = checkResponseLength(content);
+    if (evaluation.violations.length > 0) {
+      console.warn(`[PHASE VIOLATION] ${phase} attempt ${attempt}:`, evaluation.violations.map((v) => ({
+        rule: v.ruleId,
+        action: v.action,
+        detail: v.detail,
+      })));
+    }
 
-      if (violations.hasViolations || !lengthCheck.isValid) {
-        console.warn(`[PHASE VIOLATION] Attempt ${attempt}:`, {
-          violations: violations.violations,
-          lineCount: lengthCheck.lineCount,
-        });
+    // Retry if a rule asks for it and we haven't exceeded max attempts
+    if (evaluation.shouldRetry && attempt < MAX_ATTEMPTS) {
+      // Add a reminder built from the broken rules
+      const reminderHistory = [
+        ...conversationHistory,
+        {
+          role: 'system',
+          content: evaluation.reminder,
+        },
+      ];
 
-        // Retry if we haven't exceeded max attempts
-        if (attempt < MAX_ATTEMPTS) {
-          // Add a reminder to the system about violations
-          const reminderHistory = [
-            ...conversationHistory,
-            {
-              role: 'system',
-              content: `REMINDER: Your previous response violated phase rules. DO NOT ask questions. DO NOT give advice. DO NOT use lists. Keep it to 3-5 lines of plain reflection.`,
-            },
-          ];
-          return this.generatePhaseResponse(phase, reminderHistory, attempt + 1);
-        }
-
-        // If all attempts failed, still return but flag it
-        return {
-          content,
-          validationPassed: false,
-          regenerated: attempt > 1,
-          violations: violations.violations,
-        };
+      // Streaming clients must discard what they have shown so far
+      if (onRetry) {
+        onRetry({ attempt, nextAttempt: attempt + 1, violations: evaluation.violations });
       }
+
+      return this.generatePhaseResponse(phase, reminderHistory, {
+        ...options,
+        attempt: attempt + 1,
+        violations,
+      });
     }
 
+    // If all attempts failed, still return but flag it
     return {
       content,
-      validationPassed: true,
+      structured: evaluation.structured,
+      validationPassed: !evaluation.shouldRetry,
       regenerated: attempt > 1,
+      violations,
+      provider: result.provider,
+      model: result.model,
+      cached: Boolean(result.cached),
+      prompt: { id: prompt.id, version: prompt.version },
+      experiment: prompt.experiment,
     };
   },
 
   /**
    * Advance session to next phase
    * Only called when user explicitly chooses to continue
+   * The finished phase is summarized so later phases keep its outcome
+   * even after its turns are folded out of the history.
    */
   async advancePhase(sessionId) {
-    const session = await SessionModel.findById(sessionId);
+    const session = await SessionModel.findWithMessages(sessionId);
     if (!session) {
       throw new Error('Session not found');
     }
@@ -200,14 +454,186 @@ export const sessionService = {
       throw new Error('Cannot advance from current phase');
     }
 
-    return SessionModel.advancePhase(sessionId);
+    const updated = await SessionModel.advancePhase(sessionId);
+    if (updated) {
+      await historyService.recordPhaseSummary(session);
+    }
+
+    return updated;
+  },
+
+  /**
+   * Fork a session from one of its messages
+   * The fork copies the history up to and including that message and
+   * starts in the phase that message belongs to. The original is untouched.
+   *
+   * Forks from PLANNING or later get their own copy of the committed
+   * decision (and, in EXECUTION, of the tasks with their current status)
+   * so the fork never changes the parent's records.
+   *
+   * Returns null if the message is not part of the session.
+   */
+  async forkSession(sessionId, messageId) {
+    const parent = await SessionModel.findWithMessages(sessionId);
+    if (!parent) {
+      throw new Error('Session not found');
+    }
+
+    const index = parent.messages.findIndex((m) => m.id === messageId);
+    if (index === -1) return null;
+
+    const forkMessages = parent.messages.slice(0, index + 1);
+    const phase = forkMessages[index].phase;
+
+    // The rolling summary still applies if it only covers copied messages
+    const summaryFits = (parent.history_summarized_count || 0) <= forkMessages.length;
+
+    const fork = await SessionModel.createFork(parent, {
+      phase,
+      messages: forkMessages,
+      forkedFromMessageId: messageId,
+      // The proposal at the time of the message is not kept - PLANNING forks re-propose
+      proposedTasks: phase === PHASES.EXECUTION ? parent.proposed_tasks : null,
+      historySummary: summaryFits ? parent.history_summary : null,
+      historySummarizedCount: summaryFits ? parent.history_summarized_count || 0 : 0,
+    });
+
+    if ([PHASES.PLANNING, PHASES.EXECUTION].includes(phase) && parent.decision_id) {
+      await this.copyDecisionToFork(parent, fork, phase === PHASES.EXECUTION);
+    }
+
+    return SessionModel.findWithMessages(fork.id);
+  },
+
+  /**
+   * Give a fork its own copy of the parent's decision and tasks
+   * Fails gracefully if the database is unavailable.
+   */
+  async copyDecisionToFork(parent, fork, withTasks) {
+    try {
+      const decision = await DecisionModel.findById(parent.decision_id);
+      if (!decision) return;
+
+      const copy = await DecisionModel.create({
+        userId: decision.user_id,
+        userInput: decision.user_input,
+        decision: decision.decision,
+        reasoning: decision.reasoning,
+        confidenceScore: decision.confidence_score,
+        outcome: decision.outcome,
+        deferUntil: decision.defer_until,
+        sessionId: fork.id,
+        aiProvider: decision.ai_provider,
+        aiModel: decision.ai_model,
+        promptId: decision.prompt_id,
+        promptVersion: decision.prompt_version,
+        // Experiment tags stay on the original so metrics count it once
+        status: decision.status,
+      });
+      await SessionModel.linkDecision(fork.id, copy.id);
+
+      if (withTasks) {
+        const tasks = await taskService.getTasksByDecisionId(decision.id);
+        await taskService.copyTasksToDecision(copy.id, tasks);
+        await SessionModel.markTasksAccepted(fork.id);
+      }
+    } catch (dbError) {
+      console.warn('[session] Database unavailable, fork has no decision copy:', dbError.message);
+    }
+  },
+
+  /**
+   * Get where a session came from and what was forked from it
+   * Ancestors are listed root first.
+   */
+  async getLineage(session) {
+    const ancestors = [];
+    let parentId = session.parent_session_id;
+
+    while (parentId) {
+      const parent = await SessionModel.findById(parentId);
+      if (!parent) break;
+      ancestors.unshift({ id: parent.id, phase: parent.current_phase, state: parent.state });
+      parentId = parent.parent_session_id;
+    }
+
+    const forks = await SessionModel.findForks(session.id);
+
+    return {
+      parentSessionId: session.parent_session_id || null,
+      forkedFromMessageId: session.forked_from_message_id || null,
+      ancestors,
+      forks: forks.map((fork) => ({
+        id: fork.id,
+        forkedFromMessageId: fork.forked_from_message_id,
+        phase: fork.current_phase,
+        state: fork.state,
+        createdAt: fork.created_at,
+      })),
+    };
+  },
+
+  /**
+   * Move a session to a new lifecycle state
+   * Returns null if the transition is not allowed
+   */
+  async changeState(sessionId, toState) {
+    return SessionModel.setState(sessionId, toState);
+  },
+
+  /**
+   * Resume a paused session
+   * Greets the user with a short recap of where they left off
+   */
+  async resumeSession(sessionId) {
+    const updated = await SessionModel.setState(sessionId, SESSION_STATES.ACTIVE);
+    if (!updated) return null;
+
+    const session = await SessionModel.findWithMessages(sessionId);
+    const tasks = session.current_phase === PHASES.EXECUTION
+      ? await this.getSessionTasks(session)
+      : [];
+
+    const recap = await SessionModel.addMessage(
+      sessionId,
+      'assistant',
+      summaryService.buildResumeRecap(session, tasks),
+      session.current_phase
+    );
+
+    return { session: updated, recap };
+  },
+
+  /**
+   * Abandon active sessions idle longer than the configured timeout
+   * Returns the number of sessions abandoned
+   */
+  async abandonIdleSessions(idleTimeoutHours = env.sessions.idleTimeoutHours) {
+    if (!idleTimeoutHours || idleTimeoutHours <= 0) return 0;
+
+    const cutoff = new Date(Date.now() - idleTimeoutHours * 3600000);
+    const abandoned = await SessionModel.abandonIdle(cutoff);
+
+    if (abandoned.length > 0) {
+      console.log(`[session] Abandoned ${abandoned.length} idle session(s)`);
+    }
+
+    return abandoned.length;
+  },
+
+  /**
+   * Get violation counts per phase and rule
+   */
+  async getViolationStats(phase = null) {
+    return SessionModel.getViolationStats({ phase });
   },
 
   /**
    * Get user's recent sessions
+   * Optionally filtered by lifecycle state
    */
-  async getUserSessions(userId, limit = 10) {
-    return SessionModel.findByUser(userId, limit);
+  async getUserSessions(userId, limit = 10, state = null) {
+    return SessionModel.findByUser(userId, limit, state);
   },
 };
 
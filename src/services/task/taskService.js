@@ -18,6 +18,18 @@ export const taskService = {
     return TaskModel.createMany(tasksWithDecision);
   },
 
+  /**
+   * Copies tasks to another decision, keeping their status
+   */
+  async copyTasksToDecision(decisionId, tasks) {
+    return TaskModel.createMany(tasks.map((task) => ({
+      decisionId,
+      title: task.title,
+      priority: task.priority,
+      status: task.status,
+    })));
+  },
+
   /**
    * Gets all tasks for a decision
    */
@@ -74,6 +86,13 @@ export const taskService = {
     return TaskModel.delete(taskId);
   },
 
+  /**
+   * Deletes all tasks for a decision
+   */
+  async deleteTasksForDecision(decisionId) {
+    return TaskModel.deleteByDecisionId(decisionId);
+  },
+
   /**
    * Bulk updates task statuses
    */
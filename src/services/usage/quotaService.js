@@ -0,0 +1,169 @@
+import { QuotaModel, QUOTA_LIMITS, UNLIMITED_OVERRIDE } from '../../models/quota.model.js';
+import { UsageModel } from '../../models/usage.model.js';
+import { UserModel } from '../../models/user.model.js';
+import { Errors } from '../../middlewares/error.middleware.js';
+import { env } from '../../config/env.js';
+
+// Calls that count as one user request - summaries, clarity checks, tool steps and regenerations only cost tokens
+const REQUEST_PURPOSES = ['phase_response', 'decision', 'refinement'];
+
+// Quota windows, one per limit column
+const WINDOWS = [
+  { column: 'daily_requests', window: 'daily', metric: 'requests' },
+  { column: 'daily_tokens', window: 'daily', metric: 'tokens' },
+  { column: 'monthly_requests', window: 'monthly', metric: 'requests' },
+  { column: 'monthly_tokens', window: 'monthly', metric: 'tokens' },
+];
+
+const toCamel = (column) => column.replace(/_(\w)/g, (_, c) => c.toUpperCase());
+
+/**
+ * Map limit columns to the API shape ({ dailyRequests, ... })
+ */
+export function toLimits(row) {
+  return Object.fromEntries(QUOTA_LIMITS.map((column) => [toCamel(column), row?.[column] ?? null]));
+}
+
+/**
+ * Map API limits to columns, keeping only the keys that were given
+ */
+export function fromLimits(limits) {
+  return Object.fromEntries(
+    QUOTA_LIMITS
+      .filter((column) => limits[toCamel(column)] !== undefined)
+      .map((column) => [column, limits[toCamel(column)]])
+  );
+}
+
+/**
+ * Start and reset time of the current UTC day and month
+ */
+function getWindowBounds(now) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+
+  return {
+    daily: { start: new Date(Date.UTC(year, month, day)), resetAt: new Date(Date.UTC(year, month, day + 1)) },
+    monthly: { start: new Date(Date.UTC(year, month, 1)), resetAt: new Date(Date.UTC(year, month + 1, 1)) },
+  };
+}
+
+/**
+ * Headers describing one quota window
+ */
+function getQuotaHeaders(window) {
+  return {
+    'X-Quota-Window': `${window.window}-${window.metric}`,
+    'X-Quota-Limit': String(window.limit),
+    'X-Quota-Remaining': String(window.remaining),
+    'X-Quota-Reset': String(Math.ceil(window.resetAt.getTime() / 1000)),
+  };
+}
+
+/**
+ * Per-user AI quota service.
+ * Daily and monthly request/token limits come from the user's plan,
+ * overridden per user; usage is counted from llm_usage.
+ */
+export const quotaService = {
+  /**
+   * Effective limits for a user: overrides win over the plan
+   * An override of UNLIMITED_OVERRIDE lifts the limit, whatever the plan says
+   * Unknown plans (and users) fall back to the default plan
+   */
+  async getEffectiveLimits(userId) {
+    const user = await UserModel.findById(userId);
+    const requested = user?.plan || env.quotas.defaultPlan;
+
+    let plan = await QuotaModel.findPlan(requested);
+    if (!plan && requested !== env.quotas.defaultPlan) {
+      plan = await QuotaModel.findPlan(env.quotas.defaultPlan);
+    }
+
+    const override = await QuotaModel.findOverride(userId);
+
+    const limits = Object.fromEntries(QUOTA_LIMITS.map((column) => {
+      if (override?.[column] === UNLIMITED_OVERRIDE) return [column, null];
+      return [column, override?.[column] ?? plan?.[column] ?? null];
+    }));
+
+    return { plan: plan?.plan || null, limits, override };
+  },
+
+  /**
+   * Limits, usage and reset time of every quota window for a user
+   */
+  async getQuotaStatus(userId, now = new Date()) {
+    const bounds = getWindowBounds(now);
+    const { plan, limits, override } = await this.getEffectiveLimits(userId);
+
+    const used = await UsageModel.countForUser(userId, {
+      dayStart: bounds.daily.start,
+      monthStart: bounds.monthly.start,
+      requestPurposes: REQUEST_PURPOSES,
+    });
+
+    const windows = WINDOWS.map(({ column, window, metric }) => {
+      const limit = limits[column];
+      const count = Number(used[column] || 0);
+      return {
+        window,
+        metric,
+        limit,
+        used: count,
+        remaining: limit === null ? null : Math.max(limit - count, 0),
+        resetAt: bounds[window].resetAt,
+      };
+    });
+
+    return {
+      userId,
+      plan,
+      limits: toLimits(limits),
+      overrides: override ? toLimits(override) : null,
+      windows,
+      exceeded: windows.filter((w) => w.limit !== null && w.used >= w.limit),
+    };
+  },
+
+  /**
+   * Check a user's quota before calling the model
+   * Sets X-Quota-* headers for the window closest to its limit and throws
+   * a 429 with Retry-After when any window is used up.
+   * Anonymous requests are not limited; the check fails open without a database.
+   */
+  async enforce(userId, res) {
+    if (!env.quotas.enabled || !userId) return null;
+
+    let status;
+    try {
+      status = await this.getQuotaStatus(userId);
+    } catch (dbError) {
+      console.warn('[quota] Database unavailable, skipping quota check:', dbError.message);
+      return null;
+    }
+
+    if (status.exceeded.length > 0) {
+      // Blocked until every used-up window has reset
+      const blocking = status.exceeded.reduce((latest, w) => (w.resetAt > latest.resetAt ? w : latest));
+      const retryAfter = Math.max(Math.ceil((blocking.resetAt.getTime() - Date.now()) / 1000), 1);
+
+      throw Errors.quotaExceeded(
+        `${blocking.window === 'daily' ? 'Daily' : 'Monthly'} ${blocking.metric} quota of ${blocking.limit} reached. It resets at ${blocking.resetAt.toISOString()}.`,
+        {
+          details: { plan: status.plan, exceeded: status.exceeded },
+          headers: { ...getQuotaHeaders(blocking), 'Retry-After': String(retryAfter) },
+        }
+      );
+    }
+
+    const limited = status.windows.filter((w) => w.limit !== null);
+    if (limited.length > 0) {
+      const closest = limited.reduce((a, b) => (b.remaining / b.limit < a.remaining / a.limit ? b : a));
+      res.set(getQuotaHeaders(closest));
+    }
+
+    return status;
+  },
+};
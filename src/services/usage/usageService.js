@@ -0,0 +1,160 @@
+import { UsageModel } from '../../models/usage.model.js';
+import { getModelPrice } from '../../config/pricing.js';
+import { estimateMessagesTokens, estimateTokens } from '../../utils/tokenEstimator.js';
+
+// Prices are per 1M tokens
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+
+/**
+ * Map an aggregate row to numbers (pg returns sums as strings)
+ */
+function toTotals(row = {}) {
+  const promptTokens = Number(row.prompt_tokens || 0);
+  const completionTokens = Number(row.completion_tokens || 0);
+
+  return {
+    calls: Number(row.calls || 0),
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    costUsd: Math.round(Number(row.cost_usd || 0) * 1e6) / 1e6,
+    regenerations: Number(row.regenerations || 0),
+    // Calls whose model has no price - costUsd leaves them out
+    unpricedCalls: Number(row.unpriced_calls || 0),
+    estimatedCalls: Number(row.estimated_calls || 0),
+    // Calls answered from the response cache
+    cachedCalls: Number(row.cached_calls || 0),
+  };
+}
+
+/**
+ * Usage accounting service.
+ * Records every LLM call and aggregates tokens and cost.
+ */
+export const usageService = {
+  /**
+   * Token usage of a provider result
+   * Cached results cost nothing; usage is estimated locally when the
+   * provider did not report it (e.g. some streams)
+   */
+  resolveUsage(messages, result) {
+    if (result.cached) {
+      return { promptTokens: 0, completionTokens: 0, estimated: false, cached: true };
+    }
+
+    if (result.usage) {
+      return { ...result.usage, estimated: false };
+    }
+
+    return {
+      promptTokens: estimateMessagesTokens(messages),
+      completionTokens: estimateTokens(result.content || ''),
+      estimated: true,
+    };
+  },
+
+  /**
+   * Estimated cost in USD, or null when the model has no price
+   */
+  estimateCost(provider, model, { promptTokens = 0, completionTokens = 0 }) {
+    const price = getModelPrice(provider, model);
+    if (!price) return null;
+
+    return (promptTokens * price.input + completionTokens * price.output) / TOKENS_PER_PRICE_UNIT;
+  },
+
+  /**
+   * Who a session's calls are billed to
+   */
+  contextForSession(session) {
+    return {
+      userId: session.user_id || null,
+      sessionId: session.id,
+      decisionId: session.decision_id || null,
+    };
+  },
+
+  /**
+   * Record one LLM call
+   * entry: { userId, sessionId, decisionId, purpose, phase, attempt, provider, model, usage }
+   * Never throws - accounting must not fail the user's request.
+   */
+  async recordCall({ usage, ...entry }) {
+    try {
+      return await UsageModel.create({
+        ...entry,
+        promptTokens: usage.promptTokens || 0,
+        completionTokens: usage.completionTokens || 0,
+        estimated: Boolean(usage.estimated),
+        cached: Boolean(usage.cached),
+        costUsd: this.estimateCost(entry.provider, entry.model, usage),
+      });
+    } catch (dbError) {
+      console.warn('[usage] Database unavailable, skipping usage record:', dbError.message);
+      return null;
+    }
+  },
+
+  /**
+   * Record every call of a generation, repair attempts and tool steps included
+   * calls: [{ attempt, provider, model, usage, purpose? }] - a call's purpose overrides the entry's
+   */
+  async recordCalls(calls, entry) {
+    for (const call of calls) {
+      await this.recordCall({ ...entry, ...call });
+    }
+  },
+
+  /**
+   * Totals for a filter with breakdowns
+   * filter: { userId, sessionId, decisionId, from, to }
+   */
+  async getUsage(filter, breakdowns = ['model', 'purpose']) {
+    const totals = await UsageModel.summarize(filter);
+
+    const grouped = {};
+    for (const groupBy of breakdowns) {
+      const rows = await UsageModel.summarizeBy(filter, groupBy);
+      grouped[groupBy] = rows.map((row) => ({
+        ...(groupBy === 'model' ? { provider: row.provider, model: row.model } : { [groupBy]: row[groupBy] }),
+        ...toTotals(row),
+      }));
+    }
+
+    return {
+      totals: toTotals(totals),
+      byModel: grouped.model,
+      byPurpose: grouped.purpose,
+      byPhase: grouped.phase,
+    };
+  },
+
+  /**
+   * Usage of one user over an optional date range
+   */
+  async getUserUsage(userId, { from = null, to = null } = {}) {
+    return this.getUsage({ userId, from, to });
+  },
+
+  /**
+   * Usage of one session, per phase
+   */
+  async getSessionUsage(sessionId) {
+    return this.getUsage({ sessionId }, ['model', 'purpose', 'phase']);
+  },
+
+  /**
+   * Usage of one decision (generation and refinements)
+   */
+  async getDecisionUsage(decisionId) {
+    return this.getUsage({ decisionId });
+  },
+
+  /**
+   * Usage per UTC day, optionally for one user
+   */
+  async getDailyUsage({ userId = null, from = null, to = null } = {}) {
+    const rows = await UsageModel.summarizeBy({ userId, from, to }, 'day');
+    return rows.map((row) => ({ date: row.day, ...toTotals(row) }));
+  },
+};
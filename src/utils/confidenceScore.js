@@ -39,7 +39,7 @@ export function calculateConfidenceScore(decision, context = {}) {
 /**
  * Calculates input clarity score
  */
-function calculateInputClarity(input) {
+export function calculateInputClarity(input) {
   if (!input) return 0.5;
 
   let score = 0.5;
@@ -150,7 +150,7 @@ function calculateReasoningQuality(reasoning) {
 /**
  * Gets confidence level label
  */
-function getConfidenceLevel(score) {
+export function getConfidenceLevel(score) {
   if (score >= 0.8) return 'high';
   if (score >= 0.6) return 'medium';
   if (score >= 0.4) return 'low';
@@ -0,0 +1,40 @@
+/**
+ * Server-Sent Events utilities.
+ * Minimal helpers for streaming responses over an open HTTP connection.
+ */
+
+/**
+ * Checks whether the client asked for an event stream
+ */
+export function wantsEventStream(req) {
+  const accept = req.get('Accept') || '';
+  return accept.includes('text/event-stream');
+}
+
+/**
+ * Opens an event stream on the response
+ * Returns helpers to send named events and close the stream
+ */
+export function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  return {
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    },
+  };
+}
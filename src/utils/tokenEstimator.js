@@ -0,0 +1,43 @@
+/**
+ * Local token estimation utilities.
+ * Approximates model token counts without calling the provider.
+ */
+
+// Chat formats wrap every message in a few control tokens
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Every reply is primed with a few tokens
+const REPLY_PRIMING_TOKENS = 3;
+
+/**
+ * Estimates tokens in a piece of text
+ * English averages ~4 characters per token; short, word-heavy text
+ * is closer to 1.3 tokens per word, so take the larger of the two.
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+
+  const chars = text.length;
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+
+  return Math.ceil(Math.max(chars / 4, words * 1.3));
+}
+
+/**
+ * Estimates tokens for a single chat message
+ */
+export function estimateMessageTokens(message) {
+  return MESSAGE_OVERHEAD_TOKENS + estimateTokens(message?.content);
+}
+
+/**
+ * Estimates tokens for a list of chat messages
+ */
+export function estimateMessagesTokens(messages = []) {
+  if (messages.length === 0) return 0;
+
+  return messages.reduce(
+    (total, message) => total + estimateMessageTokens(message),
+    REPLY_PRIMING_TOKENS
+  );
+}
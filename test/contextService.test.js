@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { contextService } from '../src/services/memory/contextService.js';
+
+const deferred = (deferUntil) => ({
+  decision: 'Wait on the job offer',
+  status: 'deferred',
+  defer_until: deferUntil,
+  tasks: [],
+  created_at: new Date(),
+});
+
+test('deferral dates are shown as yyyy-mm-dd', () => {
+  assert.equal(contextService.formatDeferred(new Date('2026-12-01T00:00:00Z')), 'Deferred until 2026-12-01');
+  assert.equal(contextService.formatDeferred('2026-12-01T15:30:00Z'), 'Deferred until 2026-12-01');
+});
+
+test('free-text deferrals are shown as stored', () => {
+  const context = contextService.formatContext([deferred("After Friday's conversation with your manager")]);
+
+  assert.match(context, /\[1\] Deferred until After Friday's conversation with your manager: Wait on the job offer/);
+});
+
+test('deferrals without a date are labelled Deferred', () => {
+  assert.equal(contextService.formatDeferred(null), 'Deferred');
+});